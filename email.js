@@ -249,6 +249,135 @@ eSignTap Team`,
 </html>`
       },
 
+      documentDeclined: {
+        getSubject: (documentTitle) => `Document Declined: ${documentTitle}`,
+
+        text: (documentData) => `
+Dear ${documentData.recipientName},
+
+${documentData.signerName} (${documentData.signerEmail}) has declined to sign the document "${documentData.documentTitle}".
+
+Reason given:
+${documentData.reason}
+
+Declined: ${documentData.declinedDate}
+
+The document has been closed and no further signatures can be collected. You can review it from your dashboard:
+${documentData.documentUrl}
+
+Best regards,
+eSignTap Team`,
+
+        html: (documentData) => `
+<!DOCTYPE html>
+<html>
+<body style="font-family: 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f5f7fa;">
+  <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);">
+    <!-- Header -->
+    <div style="background: linear-gradient(135deg, #EF4444 0%, #B91C1C 100%); padding: 40px 20px; text-align: center;">
+      <h1 style="color: #ffffff; margin: 0; font-size: 28px; letter-spacing: 0.5px;">Document Declined</h1>
+      <p style="color: #FEE2E2; margin-top: 10px; font-size: 16px;">
+        A signer has refused to sign
+      </p>
+    </div>
+
+    <!-- Main Content -->
+    <div style="padding: 32px 24px; background-color: #ffffff;">
+      <p style="font-size: 16px; color: #4B5563; margin-top: 0;">Dear ${this.escapeHtml(documentData.recipientName)},</p>
+
+      <div style="background-color: #FEF2F2; border-left: 4px solid #EF4444; padding: 16px; margin: 24px 0; border-radius: 4px;">
+        <p style="font-size: 16px; color: #991B1B; margin: 0;">
+          <strong>${this.escapeHtml(documentData.signerName)}</strong> (${this.escapeHtml(documentData.signerEmail)}) has declined to sign "<strong>${this.escapeHtml(documentData.documentTitle)}</strong>".
+        </p>
+      </div>
+
+      <!-- Reason -->
+      <div style="background-color: #F9FAFB; border: 1px solid #E5E7EB; border-radius: 8px; padding: 20px; margin: 24px 0;">
+        <h3 style="margin: 0 0 12px 0; color: #111827; font-size: 18px;">Reason</h3>
+        <p style="margin: 0; font-size: 15px; color: #374151; white-space: pre-wrap;">${this.escapeHtml(documentData.reason)}</p>
+        <p style="margin: 16px 0 0 0; font-size: 13px; color: #6B7280;">Declined ${documentData.declinedDate}</p>
+      </div>
+
+      <div style="text-align: center; margin: 32px 0;">
+        <a href="${documentData.documentUrl}" style="display: inline-block; background-color: #4F46E5; color: #ffffff; text-decoration: none; padding: 12px 28px; border-radius: 8px; font-weight: 600; font-size: 15px;">View Document</a>
+      </div>
+
+      <p style="font-size: 13px; color: #6B7280; text-align: center; font-style: italic; margin-bottom: 0;">
+        The document has been closed and no further signatures can be collected.
+      </p>
+    </div>
+
+    <!-- Footer -->
+    <div style="background-color: #F3F4F6; padding: 24px; text-align: center; border-top: 1px solid #E5E7EB;">
+      <p style="color: #6B7280; margin: 0; font-size: 14px;">© ${new Date().getFullYear()} eSignTap. Professional Document Signing.</p>
+    </div>
+  </div>
+</body>
+</html>`
+      },
+
+      documentVoided: {
+        getSubject: (documentTitle) => `Document Voided: ${documentTitle}`,
+
+        text: (documentData) => `
+Dear ${documentData.recipientName},
+
+${documentData.senderName} has voided the document "${documentData.documentTitle}". You no longer need to sign it, and your signing link has been disabled.
+
+Reason given:
+${documentData.reason}
+
+Voided: ${documentData.voidedDate}
+
+If you have questions, please contact ${documentData.senderName} directly.
+
+Best regards,
+eSignTap Team`,
+
+        html: (documentData) => `
+<!DOCTYPE html>
+<html>
+<body style="font-family: 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f5f7fa;">
+  <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);">
+    <!-- Header -->
+    <div style="background: linear-gradient(135deg, #6B7280 0%, #374151 100%); padding: 40px 20px; text-align: center;">
+      <h1 style="color: #ffffff; margin: 0; font-size: 28px; letter-spacing: 0.5px;">Document Voided</h1>
+      <p style="color: #E5E7EB; margin-top: 10px; font-size: 16px;">
+        No further action is needed
+      </p>
+    </div>
+
+    <!-- Main Content -->
+    <div style="padding: 32px 24px; background-color: #ffffff;">
+      <p style="font-size: 16px; color: #4B5563; margin-top: 0;">Dear ${this.escapeHtml(documentData.recipientName)},</p>
+
+      <div style="background-color: #F3F4F6; border-left: 4px solid #6B7280; padding: 16px; margin: 24px 0; border-radius: 4px;">
+        <p style="font-size: 16px; color: #1F2937; margin: 0;">
+          <strong>${this.escapeHtml(documentData.senderName)}</strong> has voided "<strong>${this.escapeHtml(documentData.documentTitle)}</strong>". You no longer need to sign it, and your signing link has been disabled.
+        </p>
+      </div>
+
+      <!-- Reason -->
+      <div style="background-color: #F9FAFB; border: 1px solid #E5E7EB; border-radius: 8px; padding: 20px; margin: 24px 0;">
+        <h3 style="margin: 0 0 12px 0; color: #111827; font-size: 18px;">Reason</h3>
+        <p style="margin: 0; font-size: 15px; color: #374151; white-space: pre-wrap;">${this.escapeHtml(documentData.reason)}</p>
+        <p style="margin: 16px 0 0 0; font-size: 13px; color: #6B7280;">Voided ${documentData.voidedDate}</p>
+      </div>
+
+      <p style="font-size: 13px; color: #6B7280; text-align: center; font-style: italic; margin-bottom: 0;">
+        If you have questions, please contact ${this.escapeHtml(documentData.senderName)} directly.
+      </p>
+    </div>
+
+    <!-- Footer -->
+    <div style="background-color: #F3F4F6; padding: 24px; text-align: center; border-top: 1px solid #E5E7EB;">
+      <p style="color: #6B7280; margin: 0; font-size: 14px;">© ${new Date().getFullYear()} eSignTap. Professional Document Signing.</p>
+    </div>
+  </div>
+</body>
+</html>`
+      },
+
       meetingInvite: {
         getSubject: (isReschedule, eventTitle) => 
           isReschedule 
@@ -487,7 +616,7 @@ The eSignTap Team`,
   // Document signing emails
   async sendDocumentShareEmail(documentData) {
     console.log('=== EMAIL SERVICE DEBUG ===');
-    console.log('📧 sendDocumentShareEmail called with:', JSON.stringify(documentData, null, 2));
+    console.log('📧 sendDocumentShareEmail called with:', JSON.stringify(this.redactLinks(documentData), null, 2));
     
     if (!documentData.signerEmail || !documentData.signerName || !documentData.documentTitle) {
       console.log('❌ Validation failed - missing required data:');
@@ -511,7 +640,7 @@ The eSignTap Team`,
     };
     const isReminder = !!documentData.isReminder;
 
-    console.log('📋 Processed email data:', JSON.stringify(emailData, null, 2));
+    console.log('📋 Processed email data:', JSON.stringify(this.redactLinks(emailData), null, 2));
     console.log('📧 Email subject:', template.getSubject(documentData.documentTitle, isReminder));
     console.log('📧 Email to:', documentData.signerEmail);
     console.log('=== END EMAIL SERVICE DEBUG ===');
@@ -591,7 +720,7 @@ The eSignTap Team`,
       console.log('📎 PDF attachment added from buffer');
     }
 
-    console.log('📋 Processed email data:', JSON.stringify(emailData, null, 2));
+    console.log('📋 Processed email data:', JSON.stringify(this.redactLinks(emailData), null, 2));
     console.log('📧 Email subject:', template.getSubject(documentData.documentTitle));
     console.log('📧 Email to:', documentData.recipientEmail);
     console.log('📎 Attachments:', attachments.length);
@@ -614,6 +743,52 @@ The eSignTap Team`,
     }
   }
 
+  async sendDocumentDeclinedEmail(documentData) {
+    if (!documentData.recipientEmail || !documentData.documentTitle || !documentData.signerEmail) {
+      throw new Error('Required document decline data is missing');
+    }
+
+    const template = this.templates.documentDeclined;
+    const emailData = {
+      recipientName: documentData.recipientName || documentData.recipientEmail.split('@')[0],
+      documentTitle: documentData.documentTitle,
+      signerName: documentData.signerName || documentData.signerEmail.split('@')[0],
+      signerEmail: documentData.signerEmail,
+      reason: documentData.reason || '',
+      declinedDate: this.formatDate(documentData.declinedAt || new Date()),
+      documentUrl: documentData.documentUrl || 'https://esigntap.com/dashboard'
+    };
+
+    return this.sendEmail({
+      to: documentData.recipientEmail,
+      subject: template.getSubject(documentData.documentTitle),
+      text: template.text(emailData),
+      html: template.html(emailData)
+    });
+  }
+
+  async sendDocumentVoidedEmail(documentData) {
+    if (!documentData.recipientEmail || !documentData.documentTitle) {
+      throw new Error('Required document void data is missing');
+    }
+
+    const template = this.templates.documentVoided;
+    const emailData = {
+      recipientName: documentData.recipientName || documentData.recipientEmail.split('@')[0],
+      documentTitle: documentData.documentTitle,
+      senderName: documentData.senderName || 'The sender',
+      reason: documentData.reason || '',
+      voidedDate: this.formatDate(documentData.voidedAt || new Date())
+    };
+
+    return this.sendEmail({
+      to: documentData.recipientEmail,
+      subject: template.getSubject(documentData.documentTitle),
+      text: template.text(emailData),
+      html: template.html(emailData)
+    });
+  }
+
   // Existing eSignTap methods
   async sendWelcomeEmail(userData) {
     if (!userData.email || !userData.name) {
@@ -673,6 +848,25 @@ The eSignTap Team`,
     }
   }
 
+  // Email data for debug logs - signing and download links carry access tokens, so they are never logged
+  redactLinks(data) {
+    return {
+      ...data,
+      ...(data.signingUrl ? { signingUrl: '[redacted]' } : {}),
+      ...(data.downloadUrl ? { downloadUrl: '[redacted]' } : {})
+    };
+  }
+
+  // Escape user-supplied text (e.g. a decline reason) before putting it in HTML emails
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   // Helper method to format times if needed
   formatTime(date) {
     if (!date) return '';
@@ -0,0 +1,616 @@
+const safeRegex = require('safe-regex');
+
+// Longest value accepted for any field, regardless of the field's own maxLength
+const MAX_VALUE_LENGTH = 10000;
+
+// Patterns come from senders and run against signer input, so they are kept short and must
+// not be prone to catastrophic backtracking (nested quantifiers and the like)
+const MAX_PATTERN_LENGTH = 200;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_REGEX = /^\+?[0-9\s().-]+$/;
+const IMAGE_DATA_URL_REGEX = /^data:image\/(png|jpe?g);base64,[A-Za-z0-9+/=]+$/;
+
+// Calculated field operations and how many operands each takes ([min, max])
+const FORMULA_OPERATIONS = {
+  sum: [1, Infinity],
+  product: [1, Infinity],
+  percentage: [2, 2], // [value, percent] -> value * percent / 100
+  dateOffset: [2, 2] // [date, days] -> date plus days, as YYYY-MM-DD
+};
+
+const CONDITION_OPERATORS = ['equals', 'notEquals', 'in', 'filled'];
+
+// Types only a signer can fill in
+const NON_PREFILLABLE_TYPES = ['signature', 'initial', 'attachment', 'calculated'];
+
+/**
+ * Field definitions and signer-entered values.
+ *
+ * A field in files[].fields (or legacy fields) may declare:
+ *   required              - a value must be provided
+ *   pattern               - regular expression the value must match (text-like fields); at most
+ *                           MAX_PATTERN_LENGTH characters and rejected when safe-regex flags it
+ *   minLength / maxLength - length bounds for text-like fields
+ * and its `type` adds its own check (email, phone, date, checkbox, signature, initial).
+ *
+ * Choice and numeric types:
+ *   dropdown - `options`: strings or { label, value }; the value must be one of them
+ *   radio    - one box per choice; boxes sharing a `radioGroup` form one question and each
+ *              box has its own `option`. The answer is stored under the group name.
+ *   number   - optional `min`, `max`, `decimals` (max decimal places, also used for display),
+ *              `thousandsSeparator`, `prefix` and `suffix` for display
+ *
+ * Calculated fields (type `calculated`) are never filled by signers. Their `formula` is
+ * { op, operands } where op is one of FORMULA_OPERATIONS and each operand is a field id
+ * or a number. Numeric results use the number display options above.
+ *
+ * Attachments (type `attachment`): the signer uploads the file first and submits the returned
+ * attachmentId as the field value. Optional `accept` (MIME types) and `maxSizeMb` limit uploads.
+ *
+ * Pre-filled values: the sender may set `value` on a field before sending. Signers can change
+ * it unless the field is `readOnly`; a read-only field keeps the sender's value and submissions
+ * that try to change it are refused. Signature, initial and attachment fields cannot be pre-filled.
+ *
+ * Conditional logic: `showWhen` hides the field unless its conditions hold, and `requireWhen`
+ * makes it required when they hold. Each is one condition or an array (all must hold):
+ *   { field, equals } | { field, notEquals } | { field, in: [...] } | { field, filled: true|false }
+ * where `field` is a field id or a radio group name. Hidden fields are not validated,
+ * their values are dropped and they are not drawn into the PDF.
+ */
+class FieldService {
+  /**
+   * All fields of a document with the index of the file they belong to
+   */
+  getAllFields(documentData) {
+    if (documentData.files && documentData.files.length > 0) {
+      const allFields = [];
+      documentData.files.forEach((file, fileIndex) => {
+        (file.fields || []).forEach(field => {
+          allFields.push({ ...field, fileIndex, documentIndex: fileIndex });
+        });
+      });
+      return allFields;
+    }
+    return (documentData.fields || []).map(field => ({ ...field, fileIndex: 0, documentIndex: 0 }));
+  }
+
+  /**
+   * Fields a signer fills: those assigned to them plus unassigned ones
+   */
+  getSignerFields(documentData, signer) {
+    const signerId = signer.id || signer.userId || null;
+    return this.getAllFields(documentData).filter(field => !field.assignedSigner || field.assignedSigner === signerId);
+  }
+
+  /**
+   * The value entered for a field; radio boxes read the answer stored under their group
+   */
+  getFieldValue(field, fieldValues) {
+    if (!fieldValues) return undefined;
+    return fieldValues[this.getValueKey(field)];
+  }
+
+  /**
+   * Key a field's value is stored under in fieldValues
+   */
+  getValueKey(field) {
+    return field.type === 'radio' && field.radioGroup ? field.radioGroup : field.id;
+  }
+
+  /**
+   * Sender pre-filled values that apply on top of the entered values: read-only ones always,
+   * the others only where nothing was entered
+   * @returns {Object} value key -> pre-filled value
+   */
+  getPrefilledValues(documentData, enteredValues = {}) {
+    const prefilled = {};
+    for (const field of this.getAllFields(documentData)) {
+      if (NON_PREFILLABLE_TYPES.includes(field.type) || this.isEmpty(field.value)) continue;
+      const key = this.getValueKey(field);
+      if (field.readOnly || this.isEmpty(enteredValues[key])) {
+        prefilled[key] = field.value;
+      }
+    }
+    return prefilled;
+  }
+
+  /**
+   * Keys of read-only fields (a radio group is read-only when any of its boxes is)
+   */
+  getReadOnlyKeys(documentData) {
+    return new Set(this.getAllFields(documentData).filter(field => field.readOnly).map(field => this.getValueKey(field)));
+  }
+
+  withPrefilledValues(documentData, values) {
+    return { ...values, ...this.getPrefilledValues(documentData, values) };
+  }
+
+  /**
+   * Allowed values of a dropdown
+   */
+  getOptionValues(field) {
+    return (Array.isArray(field.options) ? field.options : []).map(option => (
+      option && typeof option === 'object' ? String(option.value) : String(option)
+    ));
+  }
+
+  /**
+   * Label shown for a dropdown value
+   */
+  getOptionLabel(field, value) {
+    const option = (field.options || []).find(option => (
+      option && typeof option === 'object' ? String(option.value) === String(value) : String(option) === String(value)
+    ));
+    if (option && typeof option === 'object') return String(option.label ?? option.value);
+    return String(value);
+  }
+
+  /**
+   * Display text for a number field (fixed decimals, optional thousands separator, prefix and suffix)
+   */
+  formatNumber(field, value) {
+    const number = Number(value);
+    const hasDecimals = field.decimals !== undefined && field.decimals !== null && Number.isInteger(Number(field.decimals));
+    const decimals = hasDecimals ? Math.min(Math.max(Number(field.decimals), 0), 10) : null;
+    let text = decimals !== null ? number.toFixed(decimals) : String(number);
+    if (field.thousandsSeparator) {
+      const [whole, fraction] = text.split('.');
+      text = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',') + (fraction !== undefined ? `.${fraction}` : '');
+    }
+    return `${field.prefix || ''}${text}${field.suffix || ''}`;
+  }
+
+  isEmpty(value) {
+    return value === undefined || value === null || value === '' || value === false ||
+      (typeof value === 'string' && value.trim() === '');
+  }
+
+  /**
+   * Check a non-empty value against the field definition
+   * @returns {string|null} error message, or null when the value is valid
+   */
+  validateValue(field, value) {
+    switch (field.type) {
+      case 'checkbox':
+        return [true, false, 'true', 'false'].includes(value) ? null : 'Must be checked or unchecked';
+
+      case 'signature':
+      case 'initial': {
+        if (typeof value !== 'string') return 'Invalid signature';
+        if (value.startsWith('data:image/')) {
+          return IMAGE_DATA_URL_REGEX.test(value) ? null : 'Signature must be a PNG or JPEG image';
+        }
+        return value.length > 200 ? 'Typed signature is too long' : null;
+      }
+
+      case 'attachment':
+        return typeof value === 'string' && /^[0-9a-f-]{36}$/i.test(value) ? null : 'Invalid attachment';
+
+      case 'dropdown':
+        return this.getOptionValues(field).includes(String(value)) ? null : 'Please choose one of the listed options';
+
+      case 'radio':
+        // A single box only knows its own option; the group check happens in validateSubmission
+        return typeof value === 'string' ? null : 'Please choose one of the options';
+
+      case 'number': {
+        const text = String(value).trim();
+        if (typeof value === 'boolean' || !/^-?\d+(\.\d+)?$/.test(text)) {
+          return 'Must be a number';
+        }
+        const number = Number(text);
+        const decimalPlaces = (text.split('.')[1] || '').length;
+        if (field.decimals !== undefined && field.decimals !== null && decimalPlaces > Number(field.decimals)) {
+          return Number(field.decimals) === 0 ? 'Must be a whole number' : `At most ${field.decimals} decimal places`;
+        }
+        if (field.min !== undefined && field.min !== null && number < Number(field.min)) {
+          return `Must be at least ${field.min}`;
+        }
+        if (field.max !== undefined && field.max !== null && number > Number(field.max)) {
+          return `Must be at most ${field.max}`;
+        }
+        return null;
+      }
+
+      default:
+        break;
+    }
+
+    // Text-like fields (text, name, email, phone, date and anything unrecognised)
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      return 'Must be text';
+    }
+    const text = String(value);
+    if (text.length > MAX_VALUE_LENGTH) {
+      return `Must be at most ${MAX_VALUE_LENGTH} characters`;
+    }
+
+    if (field.type === 'email' && !EMAIL_REGEX.test(text.trim())) {
+      return 'Must be a valid email address';
+    }
+    if (field.type === 'phone') {
+      const digits = text.replace(/\D/g, '');
+      if (!PHONE_REGEX.test(text.trim()) || digits.length < 7 || digits.length > 15) {
+        return 'Must be a valid phone number';
+      }
+    }
+    if (field.type === 'date' && isNaN(Date.parse(text))) {
+      return 'Must be a valid date';
+    }
+
+    const minLength = Number(field.minLength);
+    const maxLength = Number(field.maxLength);
+    if (field.minLength !== undefined && field.minLength !== null && text.length < minLength) {
+      return `Must be at least ${minLength} characters`;
+    }
+    if (field.maxLength !== undefined && field.maxLength !== null && text.length > maxLength) {
+      return `Must be at most ${maxLength} characters`;
+    }
+
+    if (field.pattern) {
+      // Fields saved before patterns were checked may still hold an unsafe one
+      const patternError = this.getPatternError(field.pattern);
+      if (patternError) {
+        console.warn(`⚠️ Field ${field.id} has an unusable pattern, skipping pattern check: ${patternError}`);
+      } else if (!new RegExp(field.pattern).test(text)) {
+        return field.patternMessage || 'Invalid format';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Why a field pattern cannot be used, or null when it is a valid, safe regular expression
+   */
+  getPatternError(pattern) {
+    if (typeof pattern !== 'string') {
+      return 'Pattern must be a string';
+    }
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      return `Pattern must be at most ${MAX_PATTERN_LENGTH} characters`;
+    }
+    try {
+      new RegExp(pattern);
+    } catch (error) {
+      return 'Pattern is not a valid regular expression';
+    }
+    if (!safeRegex(pattern)) {
+      return 'Pattern is too complex (nested or repeated quantifiers)';
+    }
+    return null;
+  }
+
+  /**
+   * Conditions of a showWhen/requireWhen rule as an array (empty when there is no rule)
+   */
+  getConditions(rule) {
+    if (!rule) return [];
+    return Array.isArray(rule) ? rule : [rule];
+  }
+
+  /**
+   * Whether every condition holds for the given values
+   * @param {Object} fieldsById - all fields of the document, to resolve radio groups and checkboxes
+   */
+  conditionsMet(rule, values, fieldsById) {
+    const normalize = (value) => {
+      if (value === true) return 'true';
+      if (value === false) return 'false';
+      return value === undefined || value === null ? '' : String(value);
+    };
+
+    return this.getConditions(rule).every(condition => {
+      const source = fieldsById[condition.field];
+      let actual = source ? this.getFieldValue(source, values) : values?.[condition.field];
+      // An untouched checkbox is unchecked
+      if (source && source.type === 'checkbox' && this.isEmpty(actual)) actual = false;
+
+      if ('filled' in condition) return this.isEmpty(actual) !== !!condition.filled;
+      if ('equals' in condition) return normalize(actual) === normalize(condition.equals);
+      if ('notEquals' in condition) return normalize(actual) !== normalize(condition.notEquals);
+      if ('in' in condition) return Array.isArray(condition.in) && condition.in.map(normalize).includes(normalize(actual));
+      return false;
+    });
+  }
+
+  isFieldVisible(field, values, fieldsById) {
+    return !field.showWhen || this.conditionsMet(field.showWhen, values, fieldsById);
+  }
+
+  isFieldRequired(field, values, fieldsById) {
+    return !!field.required || (!!field.requireWhen && this.conditionsMet(field.requireWhen, values, fieldsById));
+  }
+
+  /**
+   * Lookup of all fields of a document by id
+   */
+  getFieldsById(documentData) {
+    return Object.fromEntries(this.getAllFields(documentData).map(field => [field.id, field]));
+  }
+
+  /**
+   * Check field definitions: patterns, pre-filled values, showWhen/requireWhen conditions, and calculated
+   * field formulas (known operation, operand count, operands that are numbers or existing
+   * field ids, and no circular references).
+   * @returns {{ valid: boolean, fieldErrors: Object<string, string> }}
+   */
+  validateFieldDefinitions(fields) {
+    const fieldErrors = {};
+    const fieldIds = new Set(fields.map(field => field.id));
+    const calculated = {};
+
+    // Conditions may point at a field id or a radio group name
+    const conditionTargets = new Set([...fieldIds, ...fields.filter(field => field.radioGroup).map(field => field.radioGroup)]);
+    for (const field of fields) {
+      if (field.pattern === undefined || field.pattern === null || field.pattern === '') continue;
+      const patternError = this.getPatternError(field.pattern);
+      if (patternError) fieldErrors[field.id] = patternError;
+    }
+
+    for (const field of fields) {
+      if (this.isEmpty(field.value) || fieldErrors[field.id]) continue;
+      if (NON_PREFILLABLE_TYPES.includes(field.type)) {
+        fieldErrors[field.id] = `${field.type} fields cannot be pre-filled`;
+        continue;
+      }
+      let error = this.validateValue(field, field.value);
+      if (!error && field.type === 'radio' &&
+        !fields.some(f => f.radioGroup === field.radioGroup && String(f.option) === String(field.value))) {
+        error = 'Please choose one of the options';
+      }
+      if (error) fieldErrors[field.id] = `Pre-filled value: ${error}`;
+    }
+
+    for (const field of fields) {
+      for (const ruleName of ['showWhen', 'requireWhen']) {
+        for (const condition of this.getConditions(field[ruleName])) {
+          const operators = condition && typeof condition === 'object' ? CONDITION_OPERATORS.filter(op => op in condition) : [];
+          if (operators.length !== 1) {
+            fieldErrors[field.id] = `${ruleName} conditions need a field and one of: ${CONDITION_OPERATORS.join(', ')}`;
+          } else if (!conditionTargets.has(condition.field)) {
+            fieldErrors[field.id] = `${ruleName} refers to unknown field: ${condition.field}`;
+          } else if (condition.field === field.id || (field.radioGroup && condition.field === field.radioGroup)) {
+            fieldErrors[field.id] = `${ruleName} cannot depend on the field itself`;
+          }
+        }
+      }
+    }
+
+    for (const field of fields) {
+      if (field.type !== 'calculated') continue;
+      const { formula } = field;
+      const limits = formula && FORMULA_OPERATIONS[formula.op];
+      if (!limits) {
+        fieldErrors[field.id] = `Formula op must be one of: ${Object.keys(FORMULA_OPERATIONS).join(', ')}`;
+        continue;
+      }
+      if (!Array.isArray(formula.operands) || formula.operands.length < limits[0] || formula.operands.length > limits[1]) {
+        fieldErrors[field.id] = `Formula ${formula.op} has the wrong number of operands`;
+        continue;
+      }
+      const unknown = formula.operands.find(operand =>
+        !(typeof operand === 'number' && Number.isFinite(operand)) && !(typeof operand === 'string' && fieldIds.has(operand))
+      );
+      if (unknown !== undefined) {
+        fieldErrors[field.id] = `Unknown formula operand: ${unknown}`;
+        continue;
+      }
+      if (formula.operands.includes(field.id)) {
+        fieldErrors[field.id] = 'Formula cannot reference its own field';
+        continue;
+      }
+      calculated[field.id] = formula.operands.filter(operand => typeof operand === 'string');
+    }
+
+    // Depth-first search over calculated -> calculated references
+    const state = {};
+    const visit = (fieldId) => {
+      if (state[fieldId] === 'done' || !calculated[fieldId]) return false;
+      if (state[fieldId] === 'visiting') return true;
+      state[fieldId] = 'visiting';
+      const cyclic = calculated[fieldId].some(visit);
+      state[fieldId] = 'done';
+      return cyclic;
+    };
+    for (const fieldId of Object.keys(calculated)) {
+      if (!state[fieldId] && visit(fieldId)) {
+        fieldErrors[fieldId] = 'Formula has a circular reference';
+      }
+    }
+
+    return { valid: Object.keys(fieldErrors).length === 0, fieldErrors };
+  }
+
+  /**
+   * Values from every signer who has signed, merged in signing order (by signedAt) so a later
+   * signer's value wins when two signers filled the same key
+   */
+  getMergedValues(signers) {
+    const signedTime = signer => {
+      const time = signer.signedAt?.toDate ? signer.signedAt.toDate() : new Date(signer.signedAt);
+      return isNaN(time) ? 0 : time.getTime();
+    };
+    return (signers || [])
+      .filter(signer => signer.signed && signer.fieldValues)
+      .sort((a, b) => signedTime(a) - signedTime(b))
+      .reduce((merged, signer) => ({ ...merged, ...signer.fieldValues }), {});
+  }
+
+  /**
+   * Values of the whole document: what signers entered plus the sender's pre-filled values
+   */
+  getDocumentValues(documentData, signers) {
+    return this.withPrefilledValues(documentData, this.getMergedValues(signers));
+  }
+
+  /**
+   * Compute every calculated field from the entered values. Fields whose inputs are missing
+   * or not numeric (or a date, for dateOffset) are left out.
+   * @returns {Object<string, number|string>} field id -> computed value
+   */
+  computeCalculatedValues(documentData, fieldValues = {}) {
+    const fields = this.getAllFields(documentData);
+    const byId = Object.fromEntries(fields.map(field => [field.id, field]));
+    const results = {};
+    const visiting = new Set();
+
+    const resolve = (operand) => {
+      if (typeof operand === 'number') return operand;
+      const field = byId[operand];
+      if (!field) return null;
+      if (field.type === 'calculated') return compute(field);
+      const value = this.getFieldValue(field, fieldValues);
+      return this.isEmpty(value) ? null : value;
+    };
+    const toNumber = (value) => {
+      if (value === null || value === undefined || typeof value === 'boolean') return null;
+      const number = Number(value);
+      return Number.isFinite(number) ? number : null;
+    };
+
+    const compute = (field) => {
+      if (field.id in results) return results[field.id];
+      if (visiting.has(field.id)) return null; // circular reference
+      visiting.add(field.id);
+
+      let result = null;
+      const { op, operands = [] } = field.formula || {};
+      const values = operands.map(resolve);
+      if (op === 'sum' || op === 'product') {
+        const numbers = values.map(toNumber);
+        if (numbers.length > 0 && numbers.every(number => number !== null)) {
+          result = op === 'sum'
+            ? numbers.reduce((total, number) => total + number, 0)
+            : numbers.reduce((total, number) => total * number, 1);
+        }
+      } else if (op === 'percentage') {
+        const [value, percent] = values.map(toNumber);
+        if (value !== null && percent !== null) result = value * percent / 100;
+      } else if (op === 'dateOffset') {
+        const date = values[0] !== null ? new Date(values[0]) : null;
+        const days = toNumber(values[1]);
+        if (date && !isNaN(date.getTime()) && days !== null) {
+          date.setUTCDate(date.getUTCDate() + Math.trunc(days));
+          result = date.toISOString().slice(0, 10);
+        }
+      }
+
+      // Round to the field's display precision so stored and drawn values agree
+      if (typeof result === 'number' && field.decimals !== undefined && field.decimals !== null) {
+        result = Number(result.toFixed(Math.min(Math.max(Number(field.decimals) || 0, 0), 10)));
+      }
+
+      visiting.delete(field.id);
+      results[field.id] = result;
+      return result;
+    };
+
+    fields.filter(field => field.type === 'calculated').forEach(compute);
+    return Object.fromEntries(Object.entries(results).filter(([, value]) => value !== null));
+  }
+
+  /**
+   * Display text for a calculated value
+   */
+  formatCalculatedValue(field, value) {
+    return typeof value === 'number' ? this.formatNumber(field, value) : String(value);
+  }
+
+  /**
+   * Validate a signer's submission. Values for fields assigned to other signers, for
+   * calculated fields and for hidden fields are dropped. Read-only fields are never stored
+   * and a value that differs from the sender's is an error.
+   * Unassigned required fields only need a value if no earlier signer (or the sender) filled them.
+   * @returns {{ valid: boolean, fieldErrors: Object<string, string>, values: Object }}
+   */
+  validateSubmission(documentData, signer, fieldValues = {}) {
+    const submitted = fieldValues && typeof fieldValues === 'object' ? fieldValues : {};
+    const fieldErrors = {};
+    const values = {};
+
+    // Conditions see what earlier signers entered plus this submission
+    const otherSigners = (documentData.signers || []).filter(other => other.email !== signer.email);
+    const entered = this.withPrefilledValues(documentData, { ...this.getMergedValues(otherSigners), ...submitted });
+    const context = { ...entered, ...this.computeCalculatedValues(documentData, entered) };
+    const fieldsById = this.getFieldsById(documentData);
+    const prefilled = this.getPrefilledValues(documentData);
+    const readOnlyKeys = this.getReadOnlyKeys(documentData);
+
+    // Radio boxes are validated once per group, keyed by the group name
+    const radioGroups = {};
+    const entries = [];
+    for (const field of this.getSignerFields(documentData, signer)) {
+      // Calculated values are computed by the server; anything the client sent is ignored
+      if (field.type === 'calculated') continue;
+      if (field.type === 'radio' && field.radioGroup) {
+        if (!radioGroups[field.radioGroup]) {
+          radioGroups[field.radioGroup] = { key: field.radioGroup, fields: [] };
+          entries.push(radioGroups[field.radioGroup]);
+        }
+        radioGroups[field.radioGroup].fields.push(field);
+      } else {
+        entries.push({ key: field.id, fields: [field] });
+      }
+    }
+
+    for (const { key, fields } of entries) {
+      const field = fields[0];
+      const value = submitted[key];
+
+      if (readOnlyKeys.has(key)) {
+        const unchanged = this.isEmpty(value) || String(value) === String(prefilled[key]);
+        if (!unchanged) fieldErrors[key] = 'This field is read-only';
+        continue;
+      }
+
+      // Hidden fields are neither validated nor stored
+      if (!fields.some(f => this.isFieldVisible(f, context, fieldsById))) continue;
+      const required = fields.some(f => this.isFieldRequired(f, context, fieldsById));
+
+      if (this.isEmpty(value)) {
+        const filledByOther = !this.isEmpty(prefilled[key]) || (!field.assignedSigner && (documentData.signers || []).some(other =>
+          other.email !== signer.email && other.signed && !this.isEmpty(other.fieldValues?.[key])
+        ));
+        if (required && !filledByOther) {
+          fieldErrors[key] = field.type === 'checkbox' ? 'This box must be checked' : 'This field is required';
+        }
+        if (value !== undefined) values[key] = value;
+        continue;
+      }
+
+      let error = this.validateValue(field, value);
+      if (!error && field.type === 'radio' && !fields.some(f => String(f.option) === String(value))) {
+        error = 'Please choose one of the options';
+      }
+      if (!error && field.type === 'attachment' && !(documentData.attachments || []).some(attachment =>
+        attachment.attachmentId === value && attachment.fieldId === field.id && attachment.signerEmail === signer.email
+      )) {
+        error = 'Upload the file before submitting';
+      }
+      if (error) {
+        fieldErrors[key] = error;
+      } else {
+        values[key] = value;
+      }
+    }
+
+    return { valid: Object.keys(fieldErrors).length === 0, fieldErrors, values };
+  }
+
+  /**
+   * Whether a stored value may be rendered into the PDF
+   */
+  isRenderable(field, value) {
+    if (this.isEmpty(value)) return false;
+    const error = this.validateValue(field, value);
+    if (error) {
+      console.warn(`⚠️ Not rendering invalid value for field ${field.id}: ${error}`);
+      return false;
+    }
+    return true;
+  }
+}
+
+module.exports = new FieldService();
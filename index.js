@@ -5,6 +5,7 @@ const cors = require('cors');
 const { Storage } = require('@google-cloud/storage');
 const { initializeApp, cert } = require('firebase-admin/app');
 const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { getAuth } = require('firebase-admin/auth');
 const { google } = require('googleapis');
 const nodemailer = require('nodemailer');
 const crypto = require('crypto');
@@ -14,11 +15,18 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const emailService = require('./email');
 const pdfService = require('./pdfService');
+const pdfSigner = require('./pdfSigner');
+const fieldService = require('./fieldService');
 
 const admin = require('firebase-admin');
 
 // Rate limiting middleware
 const rateLimit = require('express-rate-limit');
+const axios = require('axios');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
@@ -27,6 +35,10 @@ const PORT = process.env.PORT || 5001;
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
 
+// Signing link tokens - signed separately from user sessions so they can be rotated independently
+const SIGNING_TOKEN_SECRET = process.env.SIGNING_TOKEN_SECRET || JWT_SECRET;
+const SIGNING_TOKEN_EXPIRES_IN = process.env.SIGNING_TOKEN_EXPIRES_IN || '30d';
+
 // Multer configuration for file uploads
 const upload = multer({ 
   storage: multer.memoryStorage(),
@@ -35,6 +47,12 @@ const upload = multer({
   }
 });
 
+// Deployed behind one proxy hop (Vercel), so req.ip is the X-Forwarded-For entry that proxy
+// appended, not entries the client supplied itself. TRUST_PROXY overrides the hop count (or takes
+// an Express 'trust proxy' address list such as 'loopback'; 'false' trusts no proxy).
+const TRUST_PROXY = process.env.TRUST_PROXY || '1';
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === 'false' ? false : TRUST_PROXY);
+
 // Setup CORS with more permissive options
 app.use(cors({
   origin: [
@@ -121,8 +139,16 @@ if (isLocalDevelopment) {
   
   // Mock database for local development
   const mockDatabase = new Map();
+  // Keys are "collection/id", or "collection/id/subcollection/id" for subcollections
+  const isInCollection = (key, name) => key.startsWith(`${name}/`) && !key.slice(name.length + 1).includes('/');
   
   db = {
+    // Transactions run directly against the map - there is no concurrency to guard locally
+    runTransaction: async (updateFunction) => updateFunction({
+      get: (ref) => ref.get(),
+      set: (ref, data) => { ref.set(data); },
+      update: (ref, data) => { ref.update(data); }
+    }),
     collection: (name) => ({
       doc: (id) => ({
         set: async (data) => {
@@ -146,24 +172,28 @@ if (isLocalDevelopment) {
         delete: async () => {
           mockDatabase.delete(`${name}/${id}`);
           return Promise.resolve();
-        }
+        },
+        collection: (subcollectionName) => db.collection(`${name}/${id}/${subcollectionName}`)
       }),
       get: async () => {
         const docs = Array.from(mockDatabase.entries())
-          .filter(([key]) => key.startsWith(`${name}/`))
+          .filter(([key]) => isInCollection(key, name))
           .map(([key, value]) => ({ 
-            id: key.split('/')[1], 
-            data: () => value 
+            id: key.slice(name.length + 1), 
+            data: () => value,
+            ref: db.collection(name).doc(key.slice(name.length + 1))
           }));
         return { 
           forEach: (callback) => docs.forEach(callback),
-          size: docs.length
+          size: docs.length,
+          empty: docs.length === 0,
+          docs
         };
       },
       where: (field, operator, value) => ({
         get: async () => {
           const docs = Array.from(mockDatabase.entries())
-            .filter(([key]) => key.startsWith(`${name}/`))
+            .filter(([key]) => isInCollection(key, name))
             .filter(([key, data]) => {
               switch (operator) {
                 case '==':
@@ -183,18 +213,21 @@ if (isLocalDevelopment) {
               }
             })
             .map(([key, value]) => ({ 
-              id: key.split('/')[1], 
-              data: () => value 
+              id: key.slice(name.length + 1), 
+              data: () => value,
+              ref: db.collection(name).doc(key.slice(name.length + 1))
             }));
           return { 
             forEach: (callback) => docs.forEach(callback),
-            size: docs.length
+            size: docs.length,
+            empty: docs.length === 0,
+            docs
           };
         },
         limit: (limitCount) => ({
           get: async () => {
             const docs = Array.from(mockDatabase.entries())
-              .filter(([key]) => key.startsWith(`${name}/`))
+              .filter(([key]) => isInCollection(key, name))
               .filter(([key, data]) => {
                 switch (operator) {
                   case '==':
@@ -214,20 +247,23 @@ if (isLocalDevelopment) {
                 }
               })
               .map(([key, value]) => ({ 
-                id: key.split('/')[1], 
-                data: () => value 
+                id: key.slice(name.length + 1), 
+                data: () => value,
+                ref: db.collection(name).doc(key.slice(name.length + 1))
               }))
               .slice(0, limitCount); // Apply limit
             return { 
               forEach: (callback) => docs.forEach(callback),
-              size: docs.length
+              size: docs.length,
+              empty: docs.length === 0,
+              docs
             };
           }
         }),
         where: (field2, operator2, value2) => ({
           get: async () => {
             const docs = Array.from(mockDatabase.entries())
-              .filter(([key]) => key.startsWith(`${name}/`))
+              .filter(([key]) => isInCollection(key, name))
               .filter(([key, data]) => {
                 // First condition
                 let firstMatch = false;
@@ -258,18 +294,21 @@ if (isLocalDevelopment) {
                 return firstMatch && secondMatch;
               })
               .map(([key, value]) => ({ 
-                id: key.split('/')[1], 
-                data: () => value 
+                id: key.slice(name.length + 1), 
+                data: () => value,
+                ref: db.collection(name).doc(key.slice(name.length + 1))
               }));
             return { 
               forEach: (callback) => docs.forEach(callback),
-              size: docs.length
+              size: docs.length,
+              empty: docs.length === 0,
+              docs
             };
           },
           limit: (limitCount) => ({
             get: async () => {
               const docs = Array.from(mockDatabase.entries())
-                .filter(([key]) => key.startsWith(`${name}/`))
+                .filter(([key]) => isInCollection(key, name))
                 .filter(([key, data]) => {
                   // First condition
                   let firstMatch = false;
@@ -300,13 +339,16 @@ if (isLocalDevelopment) {
                   return firstMatch && secondMatch;
                 })
                 .map(([key, value]) => ({ 
-                  id: key.split('/')[1], 
-                  data: () => value 
+                  id: key.slice(name.length + 1), 
+                  data: () => value,
+                  ref: db.collection(name).doc(key.slice(name.length + 1))
                 }))
                 .slice(0, limitCount); // Apply limit
               return { 
                 forEach: (callback) => docs.forEach(callback),
-                size: docs.length
+                size: docs.length,
+                empty: docs.length === 0,
+                docs
               };
             }
           })
@@ -317,10 +359,11 @@ if (isLocalDevelopment) {
           offset: (offsetCount) => ({
             get: async () => {
               let docs = Array.from(mockDatabase.entries())
-                .filter(([key]) => key.startsWith(`${name}/`))
+                .filter(([key]) => isInCollection(key, name))
                 .map(([key, value]) => ({ 
-                  id: key.split('/')[1], 
-                  data: () => value 
+                  id: key.slice(name.length + 1), 
+                  data: () => value,
+                  ref: db.collection(name).doc(key.slice(name.length + 1))
                 }));
               
               // Sort by field
@@ -338,17 +381,20 @@ if (isLocalDevelopment) {
               
               return { 
                 forEach: (callback) => docs.forEach(callback),
-                size: docs.length
+                size: docs.length,
+                empty: docs.length === 0,
+                docs
               };
             }
           })
         }),
         get: async () => {
           let docs = Array.from(mockDatabase.entries())
-            .filter(([key]) => key.startsWith(`${name}/`))
+            .filter(([key]) => isInCollection(key, name))
             .map(([key, value]) => ({ 
-              id: key.split('/')[1], 
-              data: () => value 
+              id: key.slice(name.length + 1), 
+              data: () => value,
+              ref: db.collection(name).doc(key.slice(name.length + 1))
             }));
           
           // Sort by field
@@ -363,7 +409,9 @@ if (isLocalDevelopment) {
           
           return { 
             forEach: (callback) => docs.forEach(callback),
-            size: docs.length
+            size: docs.length,
+            empty: docs.length === 0,
+            docs
           };
         }
       }),
@@ -483,6 +531,10 @@ const authenticateToken = async (req, res, next) => {
     });
   }
 
+  if (token.startsWith(API_KEY_PREFIX)) {
+    return authenticateApiKey(token, req, res, next);
+  }
+
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
     
@@ -498,10 +550,7 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const userData = userDoc.data();
-    
-    // Check if token is still valid (optional: implement token blacklisting)
-    if (userData.auth && userData.auth.accessToken !== token) {
+    if (await isTokenSessionRevoked(decoded, token, userDoc.data())) {
       return res.status(401).json({
         success: false,
         error: 'Token expired or invalid',
@@ -515,7 +564,8 @@ const authenticateToken = async (req, res, next) => {
       userId: decoded.userId,
       email: decoded.email,
       name: decoded.name,
-      loginProvider: decoded.loginProvider
+      loginProvider: decoded.loginProvider,
+      sessionId: decoded.sessionId || null
     };
 
     next();
@@ -550,6 +600,16 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Tokens are bound to a session, which ends on logout or revocation.
+// Tokens issued before sessions existed are still checked against users.auth.
+async function isTokenSessionRevoked(decoded, token, userData) {
+  if (decoded.sessionId) {
+    const sessionDoc = await db.collection(USER_SESSIONS_COLLECTION).doc(decoded.sessionId).get();
+    return !sessionDoc.exists || !!sessionDoc.data().revokedAt || sessionDoc.data().userId !== decoded.userId;
+  }
+  return !!userData.auth && userData.auth.accessToken !== token;
+}
+
 // Optional middleware for endpoints that can work with or without authentication
 const optionalAuth = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -560,12 +620,14 @@ const optionalAuth = async (req, res, next) => {
       const decoded = jwt.verify(token, JWT_SECRET);
       const userDoc = await db.collection('users').doc(decoded.userId).get();
       
-      if (userDoc.exists) {
+      // Revoked sessions are treated like no token at all
+      if (userDoc.exists && !(await isTokenSessionRevoked(decoded, token, userDoc.data()))) {
         req.user = {
           userId: decoded.userId,
           email: decoded.email,
           name: decoded.name,
-          loginProvider: decoded.loginProvider
+          loginProvider: decoded.loginProvider,
+          sessionId: decoded.sessionId || null
         };
       }
     } catch (error) {
@@ -577,6 +639,142 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
+// --- API Keys ---
+// Long-lived keys for server-to-server integrations. Only the SHA-256 hash is stored; the key
+// itself is shown once on creation. Keys work only on routes that opt in with requireScope().
+const API_KEYS_COLLECTION = 'api_keys';
+const API_KEY_PREFIX = 'esk_';
+const API_KEY_SCOPES = {
+  'documents:read': 'Read documents, files and audit trails',
+  'documents:write': 'Upload, edit and delete documents',
+  'documents:send': 'Send, correct and void documents, bulk send and template send',
+  'templates:manage': 'Create and manage templates and PowerForms'
+};
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Authenticate with a user access token, or with an API key that carries the given scope
+const requireScope = (scope) => (req, res, next) => {
+  req.apiKeyScope = scope;
+  return authenticateToken(req, res, next);
+};
+
+// Called by authenticateToken for Bearer tokens that start with API_KEY_PREFIX
+async function authenticateApiKey(key, req, res, next) {
+  if (!req.apiKeyScope) {
+    return res.status(403).json({
+      success: false,
+      error: 'API key not allowed',
+      code: 'API_KEY_NOT_ALLOWED',
+      message: 'This endpoint requires a user access token'
+    });
+  }
+
+  try {
+    const snapshot = await db.collection(API_KEYS_COLLECTION)
+      .where('keyHash', '==', hashApiKey(key))
+      .get();
+    let apiKey = null;
+    snapshot.forEach(doc => {
+      apiKey = doc.data();
+    });
+
+    if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date())) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid API key',
+        code: 'INVALID_API_KEY',
+        message: 'The API key is invalid, expired or revoked'
+      });
+    }
+
+    if (!apiKey.scopes.includes(req.apiKeyScope)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient scope',
+        code: 'INSUFFICIENT_SCOPE',
+        message: `This API key needs the ${req.apiKeyScope} scope`,
+        requiredScope: req.apiKeyScope
+      });
+    }
+
+    const userDoc = await db.collection('users').doc(apiKey.userId).get();
+    if (!userDoc.exists) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid API key',
+        code: 'USER_NOT_FOUND',
+        message: 'User associated with this API key no longer exists'
+      });
+    }
+    const userData = userDoc.data();
+
+    req.user = {
+      userId: apiKey.userId,
+      email: userData.email,
+      name: userData.name,
+      loginProvider: 'api_key'
+    };
+    req.apiKey = { id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes };
+
+    // Track usage, at most once a minute per key
+    if (!apiKey.lastUsedAt || Date.now() - new Date(apiKey.lastUsedAt).getTime() > 60 * 1000) {
+      await db.collection(API_KEYS_COLLECTION).doc(apiKey.id).update({ lastUsedAt: new Date().toISOString() });
+    }
+
+    next();
+  } catch (error) {
+    console.error('API key verification error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Authentication error',
+      code: 'AUTH_ERROR',
+      message: 'An error occurred while verifying your API key'
+    });
+  }
+}
+// --- END API Keys ---
+
+// Cron endpoints require the x-cron-secret header to match CRON_SECRET. Without a configured
+// secret they stay closed, except in local development (no Firebase credentials). isLocalMode is
+// not enough here: it is also set when only the storage credentials are missing.
+const verifyCronSecret = (req, res, next) => {
+  const expected = process.env.CRON_SECRET;
+  if (!expected) {
+    if (isLocalDevelopment && process.env.NODE_ENV !== 'production') return next();
+    console.error('CRON_SECRET is not configured - refusing cron request to', req.path);
+    return res.status(503).json({ error: 'Cron endpoint is not configured' });
+  }
+  const provided = String(req.headers['x-cron-secret'] || '');
+  const matches = provided.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+  if (!matches) {
+    return res.status(401).json({ error: 'Invalid cron secret' });
+  }
+  next();
+};
+
+// Block actions that email other people until the account's email address is verified
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const userDoc = await db.collection('users').doc(req.user.userId).get();
+    if (userDoc.exists && userDoc.data().emailVerified === false) {
+      return res.status(403).json({
+        success: false,
+        error: 'Email not verified',
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Verify your email address before sending documents. Check your inbox or request a new verification email.'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Email verification check error:', error);
+    return res.status(500).json({ success: false, error: 'Authorization error' });
+  }
+};
+
 // Document ownership verification middleware
 const verifyDocumentOwnership = async (req, res, next) => {
   try {
@@ -618,18 +816,26 @@ const verifyDocumentOwnership = async (req, res, next) => {
   }
 };
 
+// Firestore collection: user_sessions - one record per logged-in device
+const USER_SESSIONS_COLLECTION = 'user_sessions';
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
 // Updated Token Manager class for JWT-based authentication
 class TokenManager {
   constructor(database) {
     this.db = database;
   }
 
-  async generateTokens(userData) {
+  // Issue an access/refresh token pair for a session. Every refresh token gets its own
+  // id (jti) so a rotated-out token can be recognised if it is ever presented again.
+  async generateTokens(userData, { sessionId = crypto.randomUUID() } = {}) {
+    const refreshTokenId = crypto.randomUUID();
     const payload = {
       userId: userData.userId,
       email: userData.email,
       name: userData.name,
       loginProvider: userData.loginProvider,
+      sessionId,
       iat: Math.floor(Date.now() / 1000)
     };
 
@@ -640,7 +846,7 @@ class TokenManager {
     });
 
     const refreshToken = jwt.sign(
-      { userId: userData.userId, type: 'refresh' }, 
+      { userId: userData.userId, type: 'refresh', sessionId, jti: refreshTokenId }, 
       JWT_SECRET, 
       { expiresIn: '7d' }
     );
@@ -648,6 +854,8 @@ class TokenManager {
     return {
       accessToken,
       refreshToken,
+      sessionId,
+      refreshTokenId,
       tokenType: 'Bearer',
       expiresIn: JWT_EXPIRES_IN,
       issuedAt: new Date().toISOString(),
@@ -660,6 +868,84 @@ class TokenManager {
     };
   }
 
+  // Start a new session for a login and issue its tokens
+  async createSession(req, userData) {
+    const tokens = await this.generateTokens(userData);
+    const now = new Date();
+    await this.db.collection(USER_SESSIONS_COLLECTION).doc(tokens.sessionId).set({
+      id: tokens.sessionId,
+      userId: userData.userId,
+      loginProvider: userData.loginProvider,
+      refreshTokenId: tokens.refreshTokenId,
+      userAgent: req.headers['user-agent'] || null,
+      ipAddress: getClientIp(req) || null,
+      createdAt: now.toISOString(),
+      lastActiveAt: now.toISOString(),
+      refreshExpiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS).toISOString(),
+      revokedAt: null,
+      revokedReason: null
+    });
+    return tokens;
+  }
+
+  // Issue the next token pair of an existing session in exchange for its current refresh token
+  // (refreshTokenId); the previous refresh token stops working. The compare and the rotation run
+  // in one transaction so two refreshes with the same token cannot both succeed. A token that
+  // was already rotated out means it leaked, and the session is revoked.
+  // Resolves to { tokens } or { error: 'SESSION_ENDED' | 'REFRESH_TOKEN_REUSED' }.
+  async rotateSession(req, sessionId, refreshTokenId, userData) {
+    const tokens = await this.generateTokens(userData, { sessionId });
+    const sessionRef = this.db.collection(USER_SESSIONS_COLLECTION).doc(sessionId);
+    const error = await this.db.runTransaction(async (transaction) => {
+      const sessionDoc = await transaction.get(sessionRef);
+      const session = sessionDoc.exists ? sessionDoc.data() : null;
+      if (!session || session.revokedAt || session.userId !== userData.userId) {
+        return 'SESSION_ENDED';
+      }
+
+      const now = new Date();
+      if (session.refreshTokenId !== refreshTokenId) {
+        transaction.update(sessionRef, { revokedAt: now.toISOString(), revokedReason: 'refresh_token_reuse' });
+        return 'REFRESH_TOKEN_REUSED';
+      }
+
+      transaction.update(sessionRef, {
+        refreshTokenId: tokens.refreshTokenId,
+        userAgent: req.headers['user-agent'] || session.userAgent || null,
+        ipAddress: getClientIp(req) || session.ipAddress || null,
+        lastActiveAt: now.toISOString(),
+        refreshExpiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS).toISOString()
+      });
+      return null;
+    });
+    return error ? { error } : { tokens };
+  }
+
+  async revokeSession(sessionId, reason) {
+    await this.db.collection(USER_SESSIONS_COLLECTION).doc(sessionId).update({
+      revokedAt: new Date().toISOString(),
+      revokedReason: reason
+    });
+  }
+
+  // Revoke every active session of a user, optionally keeping one (e.g. the current device)
+  async revokeUserSessions(userId, reason, { exceptSessionId = null } = {}) {
+    const snapshot = await this.db.collection(USER_SESSIONS_COLLECTION)
+      .where('userId', '==', userId)
+      .get();
+    const sessionIds = [];
+    snapshot.forEach(doc => {
+      const session = doc.data();
+      if (!session.revokedAt && session.id !== exceptSessionId) {
+        sessionIds.push(session.id);
+      }
+    });
+    for (const sessionId of sessionIds) {
+      await this.revokeSession(sessionId, reason);
+    }
+    return sessionIds.length;
+  }
+
   async hashPassword(password) {
     const saltRounds = 12;
     return await bcrypt.hash(password, saltRounds);
@@ -671,7 +957,7 @@ class TokenManager {
 }
 
 // Upload document endpoint - Now requires authentication
-app.post('/api/documents/upload', authenticateToken, upload.any(), async (req, res) => {
+app.post('/api/documents/upload', requireScope('documents:write'), upload.any(), async (req, res) => {
   try {
     // Filter files from the uploaded data
     const files = req.files ? req.files.filter(file => file.fieldname === 'documents') : [];
@@ -724,6 +1010,13 @@ app.post('/api/documents/upload', authenticateToken, upload.any(), async (req, r
     
     console.log('=== END DEBUG ===');
 
+    // Check field definitions (e.g. patterns) for all files before anything is stored
+    const uploadFields = files.flatMap((file, i) => req.body[`fields_${i}`] ? JSON.parse(req.body[`fields_${i}`]) : []);
+    const definitionCheck = fieldService.validateFieldDefinitions(uploadFields);
+    if (!definitionCheck.valid) {
+      return res.status(400).json({ error: 'Invalid field definitions', fieldErrors: definitionCheck.fieldErrors });
+    }
+
     // Create a single document ID for all files
     const documentId = crypto.randomUUID();
     const uploadedFiles = [];
@@ -740,6 +1033,8 @@ app.post('/api/documents/upload', authenticateToken, upload.any(), async (req, r
       
       const title = req.body[`title_${i}`] || file.originalname;
       const mimeType = req.body[`mimeType_${i}`] || file.mimetype;
+      // Hash of the original upload, shown on the certificate of completion
+      const sha256 = crypto.createHash('sha256').update(file.buffer).digest('hex');
       
       if (isLocalMode) {
         // Local development mode - save file to local storage
@@ -763,6 +1058,7 @@ app.post('/api/documents/upload', authenticateToken, upload.any(), async (req, r
           fileUrl: fileUrl,
           mimeType: mimeType,
           size: file.size,
+          sha256: sha256,
           fields: fields,
           order: i
         });
@@ -790,6 +1086,7 @@ app.post('/api/documents/upload', authenticateToken, upload.any(), async (req, r
           fileUrl: fileUrl,
           mimeType: mimeType,
           size: file.size,
+          sha256: sha256,
           fields: fields,
           order: i
         });
@@ -819,6 +1116,10 @@ app.post('/api/documents/upload', authenticateToken, upload.any(), async (req, r
 
     // Save main document to database
     await db.collection('documents').doc(documentId).set(documentData);
+    await recordDocumentEvent(documentId, 'uploaded', req, {
+      actor: userActor(req),
+      details: { files: uploadedFiles.map(f => f.originalName) }
+    });
     const safeFiles = documentData.files.map(file => ({
       fileId: file.fileId,
       originalName: file.originalName,
@@ -846,8 +1147,18 @@ app.post('/api/documents/upload', authenticateToken, upload.any(), async (req, r
   }
 });
 
+// Content-Disposition for a user-supplied file name: quotes, backslashes and control characters
+// are stripped from the plain filename (non-ASCII becomes '_'), and the exact name is sent
+// RFC 5987-encoded in filename*
+function contentDisposition(type, filename) {
+  const name = String(filename || 'download').replace(/[\x00-\x1f\x7f]/g, '');
+  const fallback = name.replace(/["\\]/g, '').replace(/[^\x20-\x7e]/g, '_');
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
 // Serve document file with proper CORS headers - Now requires authentication
-app.get('/api/documents/:documentId/file', authenticateToken, verifyDocumentOwnership, async (req, res) => {
+app.get('/api/documents/:documentId/file', requireScope('documents:read'), verifyDocumentOwnership, async (req, res) => {
   try {
     const { documentId } = req.params;
     const documentData = req.document; // From verifyDocumentOwnership middleware
@@ -863,7 +1174,7 @@ app.get('/api/documents/:documentId/file', authenticateToken, verifyDocumentOwne
     res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
     res.setHeader('Content-Type', documentData.mimeType || 'application/octet-stream');
-    res.setHeader('Content-Disposition', `inline; filename="${documentData.originalName}"`);
+    res.setHeader('Content-Disposition', contentDisposition('inline', documentData.originalName));
 
     // Always serve file content directly to avoid CORS issues
     try {
@@ -880,7 +1191,7 @@ app.get('/api/documents/:documentId/file', authenticateToken, verifyDocumentOwne
 });
 
 // Serve specific file by fileId - Now requires authentication
-app.get('/api/documents/:documentId/file/:fileId', authenticateToken, verifyDocumentOwnership, async (req, res) => {
+app.get('/api/documents/:documentId/file/:fileId', requireScope('documents:read'), verifyDocumentOwnership, async (req, res) => {
   try {
     const { documentId, fileId } = req.params;
     const documentData = req.document; // From verifyDocumentOwnership middleware
@@ -897,7 +1208,7 @@ app.get('/api/documents/:documentId/file/:fileId', authenticateToken, verifyDocu
     res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
     res.setHeader('Content-Type', fileInfo.mimeType || 'application/octet-stream');
-    res.setHeader('Content-Disposition', `inline; filename="${fileInfo.originalName}"`);
+    res.setHeader('Content-Disposition', contentDisposition('inline', fileInfo.originalName));
 
     // Always serve file content directly to avoid CORS issues
     try {
@@ -913,9 +1224,45 @@ app.get('/api/documents/:documentId/file/:fileId', authenticateToken, verifyDocu
   }
 });
 
+// List signer attachments - owner only
+app.get('/api/documents/:documentId/attachments', requireScope('documents:read'), verifyDocumentOwnership, async (req, res) => {
+  try {
+    const attachments = (req.document.attachments || []).map(({ fileName, ...attachment }) => attachment);
+    res.json({ success: true, attachments });
+  } catch (error) {
+    console.error('List attachments error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download a signer attachment - owner only
+app.get('/api/documents/:documentId/attachments/:attachmentId', requireScope('documents:read'), verifyDocumentOwnership, async (req, res) => {
+  try {
+    const { attachmentId } = req.params;
+    const attachment = (req.document.attachments || []).find(a => a.attachmentId === attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    try {
+      const [fileBuffer] = await bucket.file(attachment.fileName).download();
+      res.setHeader('Content-Type', attachment.mimeType || 'application/octet-stream');
+      res.setHeader('Content-Disposition', contentDisposition('attachment', attachment.originalName));
+      res.send(fileBuffer);
+    } catch (error) {
+      console.error('Error serving attachment:', error);
+      res.status(404).json({ error: 'Attachment not found in storage' });
+    }
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get document statistics for dashboard - Now requires authentication and filters by user
 // MOVED HERE: This route must come before /api/documents/:documentId to avoid routing conflicts
-app.get('/api/documents/stats', authenticateToken, async (req, res) => {
+app.get('/api/documents/stats', requireScope('documents:read'), async (req, res) => {
   try {
     const userId = req.user.userId;
     const documentsRef = db.collection('documents').where('userId', '==', userId);
@@ -931,7 +1278,9 @@ app.get('/api/documents/stats', authenticateToken, async (req, res) => {
       sent: 0,
       partially_signed: 0,
       completed: 0,
-      cancelled: 0
+      cancelled: 0,
+      declined: 0,
+      voided: 0
     };
 
     allDocsSnapshot.forEach(doc => {
@@ -949,15 +1298,12 @@ app.get('/api/documents/stats', authenticateToken, async (req, res) => {
 });
 
 // Get document by ID - Now requires authentication
-app.get('/api/documents/:documentId', authenticateToken, verifyDocumentOwnership, async (req, res) => {
+app.get('/api/documents/:documentId', requireScope('documents:read'), verifyDocumentOwnership, async (req, res) => {
   try {
     const documentData = req.document; // From verifyDocumentOwnership middleware
     const { expired, expiresAt } = getExpirationInfo(documentData);
     if (expired) {
-      const docRef = db.collection('documents').doc(req.params.documentId);
-      if (documentData.status !== 'expired') {
-        await docRef.update({ status: 'expired', expiredAt: new Date().toISOString() });
-      }
+      await markDocumentExpired(req.params.documentId, documentData, req);
     }
     res.json({ success: true, document: { ...documentData, status: expired ? 'expired' : documentData.status, expiredAt: expiresAt } });
   } catch (error) {
@@ -967,7 +1313,7 @@ app.get('/api/documents/:documentId', authenticateToken, verifyDocumentOwnership
 });
 
 // Update document fields - Now requires authentication
-app.put('/api/documents/:documentId/fields', authenticateToken, verifyDocumentOwnership, async (req, res) => {
+app.put('/api/documents/:documentId/fields', requireScope('documents:write'), verifyDocumentOwnership, async (req, res) => {
   try {
     const { documentId } = req.params;
     const { fields } = req.body;
@@ -976,6 +1322,11 @@ app.put('/api/documents/:documentId/fields', authenticateToken, verifyDocumentOw
       return res.status(400).json({ error: 'Fields must be an array' });
     }
 
+    const definitionCheck = fieldService.validateFieldDefinitions(fields);
+    if (!definitionCheck.valid) {
+      return res.status(400).json({ error: 'Invalid field definitions', fieldErrors: definitionCheck.fieldErrors });
+    }
+
     const docRef = db.collection('documents').doc(documentId);
     await docRef.update({
       fields: fields,
@@ -990,7 +1341,7 @@ app.put('/api/documents/:documentId/fields', authenticateToken, verifyDocumentOw
 });
 
 // Update entire document (general PUT endpoint) - Now requires authentication
-app.put('/api/documents/:documentId', authenticateToken, verifyDocumentOwnership, async (req, res) => {
+app.put('/api/documents/:documentId', requireScope('documents:write'), verifyDocumentOwnership, async (req, res) => {
   try {
     const { documentId } = req.params;
     const updateData = req.body;
@@ -1023,6 +1374,11 @@ app.put('/api/documents/:documentId', authenticateToken, verifyDocumentOwnership
         return file;
       });
 
+      const definitionCheck = fieldService.validateFieldDefinitions(fieldService.getAllFields({ files: updatedFiles }));
+      if (!definitionCheck.valid) {
+        return res.status(400).json({ error: 'Invalid field definitions', fieldErrors: definitionCheck.fieldErrors });
+      }
+
       // Remove fileFields from updateData and add the updated files
       delete updateData.fileFields;
       updateData.files = updatedFiles;
@@ -1044,7 +1400,7 @@ app.put('/api/documents/:documentId', authenticateToken, verifyDocumentOwnership
 });
 
 // Add signers to document - Now requires authentication
-app.put('/api/documents/:documentId/signers', authenticateToken, verifyDocumentOwnership, async (req, res) => {
+app.put('/api/documents/:documentId/signers', requireScope('documents:write'), verifyDocumentOwnership, async (req, res) => {
   try {
     const { documentId } = req.params;
     const { signers } = req.body;
@@ -1067,7 +1423,7 @@ app.put('/api/documents/:documentId/signers', authenticateToken, verifyDocumentO
 });
 
 // Send document for signing - Now requires authentication
-app.post('/api/documents/:documentId/send', authenticateToken, verifyDocumentOwnership, async (req, res) => {
+app.post('/api/documents/:documentId/send', requireScope('documents:send'), requireVerifiedEmail, verifyDocumentOwnership, async (req, res) => {
   try {
     const { documentId } = req.params;
     const { 
@@ -1098,16 +1454,18 @@ app.post('/api/documents/:documentId/send', authenticateToken, verifyDocumentOwn
     }
 
     const documentData = doc.data();
+
+    if (documentData.status === 'voided') {
+      return res.status(409).json({ error: 'Voided documents cannot be sent again. Duplicate it instead.' });
+    }
     
     // Validate signers
     if (!signers || !Array.isArray(signers) || signers.length === 0) {
       return res.status(400).json({ error: 'No signers provided' });
     }
 
-    // Update document with all the new data
+    // Update document with all the new data (status and sentAt are set by startSigningWorkflow)
     const updateData = {
-      status: 'sent',
-      sentAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp(),
       subject: subject || `Signature Request: ${documentData.title || 'Document'}`,
       message: message || '',
       updatedAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp()
@@ -1144,6 +1502,11 @@ app.post('/api/documents/:documentId/send', authenticateToken, verifyDocumentOwn
         return file;
       });
 
+      const definitionCheck = fieldService.validateFieldDefinitions(fieldService.getAllFields({ files: updatedFiles }));
+      if (!definitionCheck.valid) {
+        return res.status(400).json({ error: 'Invalid field definitions', fieldErrors: definitionCheck.fieldErrors });
+      }
+
       updateData.files = updatedFiles;
 
       console.log('Updated files with fields for sending:', updatedFiles.map(f => ({ 
@@ -1152,17 +1515,22 @@ app.post('/api/documents/:documentId/send', authenticateToken, verifyDocumentOwn
       })));
     } else if (fields && Array.isArray(fields)) {
       // Legacy single-file support
+      const definitionCheck = fieldService.validateFieldDefinitions(fields);
+      if (!definitionCheck.valid) {
+        return res.status(400).json({ error: 'Invalid field definitions', fieldErrors: definitionCheck.fieldErrors });
+      }
       updateData.fields = fields;
     }
 
-    // Update signers if provided
+    // Update signers if provided - a fresh signingTokenId revokes links from any previous send
     if (signers && Array.isArray(signers)) {
       updateData.signers = signers.map(signer => ({
         ...signer,
         signed: false,
         signedAt: null,
         signatureData: null,
-        fieldValues: null
+        fieldValues: null,
+        signingTokenId: crypto.randomUUID()
       }));
     }
 
@@ -1173,72 +1541,27 @@ app.post('/api/documents/:documentId/send', authenticateToken, verifyDocumentOwn
 
     await docRef.update(updateData);
 
-    // Send professional emails to all signers using EmailService
-    try {
-      // Get sender information
-      const senderDoc = await db.collection('users').doc(req.user.userId).get();
-      const senderData = senderDoc.exists ? senderDoc.data() : null;
-      const senderName = senderData?.name || req.user.email?.split('@')[0] || 'Document Sender';
-      const senderEmail = senderData?.email || req.user.email || 'info@eSignTap.com';
-
-      console.log('=== DOCUMENT SHARING EMAIL DEBUG ===');
-      console.log('📧 Preparing to send emails to signers...');
-      console.log('👤 Sender info:', { senderName, senderEmail });
-      console.log('📋 Signers:', signers.map(s => ({ name: s.name, email: s.email })));
-      console.log('📄 Document:', { title: documentData.title, originalName: documentData.originalName });
-
-      // Send email to each signer
-      const emailPromises = signers.map(async (signer) => {
-        console.log('🔍 DEBUG: URL Generation');
-        console.log('  process.env.FRONTEND_URL:', process.env.FRONTEND_URL);
-        console.log('  Default fallback:', 'http://localhost:3000');
-        console.log('  Final frontend URL:', process.env.FRONTEND_URL || 'http://localhost:3000');
-        
-        // Generate secure signing token for this signer
-        const signingToken = generateSigningToken(documentId, signer.email);
-        
-        const signingUrl = `${process.env.FRONTEND_URL_WEB}/sign/${documentId}?signer=${encodeURIComponent(signer.email)}&token=${signingToken}`;
-        
-        console.log('  Generated signing URL:', signingUrl);
-        
-        const emailData = {
-          signerEmail: signer.email,
-          signerName: signer.name || signer.email.split('@')[0],
-          documentTitle: documentData.title || documentData.originalName || 'Document',
-          senderName: senderName,
-          senderEmail: senderEmail,
-          message: message || '',
-          signingUrl: signingUrl
-        };
-
-        console.log(`📧 Sending signature request to: ${signer.email}`);
-        console.log('📋 Email data:', emailData);
-        
-        try {
-          const result = await emailService.sendDocumentShareEmail(emailData);
-          console.log(`✅ Email sent successfully to ${signer.email}:`, result);
-          return result;
-        } catch (emailError) {
-          console.error(`❌ Email failed for ${signer.email}:`, emailError);
-          throw emailError;
-        }
-      });
-
-      const emailResults = await Promise.all(emailPromises);
-      console.log(`✅ Successfully sent ${signers.length} signature request emails`);
-      console.log('📬 Email results:', emailResults);
-      console.log('=== END EMAIL DEBUG ===');
-    } catch (emailError) {
-      console.error('Email sending error:', emailError);
-      console.error('Email error stack:', emailError.stack);
-      // Don't fail the whole request if email fails - just log it
-      console.log('⚠️ Document sent successfully but email notifications failed');
+    // Sender information for the emails
+    const senderDoc = await db.collection('users').doc(req.user.userId).get();
+    const senderData = senderDoc.exists ? senderDoc.data() : null;
+    const senderName = senderData?.name || req.user.email?.split('@')[0] || 'Document Sender';
+    const senderEmail = senderData?.email || req.user.email || 'info@eSignTap.com';
+
+    // Issue links and notify only whoever the workflow says signs first
+    const { signersToNotify, emailsSent } = await startSigningWorkflow(documentId, { ...documentData, ...updateData }, req, {
+      senderName,
+      senderEmail,
+      message: message || ''
+    });
+    if (emailsSent < signersToNotify.length) {
+      console.log('⚠️ Document sent successfully but some email notifications failed');
     }
 
     res.json({ 
       success: true, 
-      message: 'Document sent successfully to all signers',
-      signerCount: signers.length
+      message: 'Document sent successfully',
+      signerCount: signers.length,
+      notifiedSigners: signersToNotify.length
     });
   } catch (error) {
     console.error('Send document error:', error);
@@ -1266,28 +1589,6 @@ app.get('/api/sign/:documentId', async (req, res) => {
       });
     }
 
-    // Verify the signing token
-    const tokenValidation = await verifySigningToken(token, documentId, signer);
-    if (!tokenValidation.valid) {
-      console.log('❌ Invalid token:', tokenValidation.error);
-      return res.status(403).json({ 
-        error: 'Invalid or expired access token',
-        details: 'The signing link has expired or is invalid. Please request a new one.'
-      });
-    }
-
-    // Check if token matches the document and signer
-    const tokenPayload = tokenValidation.payload;
-    if (tokenPayload.documentId !== documentId || tokenPayload.signerEmail !== signer) {
-      console.log('❌ Token mismatch');
-      return res.status(403).json({ 
-        error: 'Access token mismatch',
-        details: 'The access token is not valid for this document and signer.'
-      });
-    }
-
-    console.log('✅ Token validated successfully');
-
     const docRef = db.collection('documents').doc(documentId);
     const doc = await docRef.get();
 
@@ -1298,28 +1599,27 @@ app.get('/api/sign/:documentId', async (req, res) => {
 
     const documentData = doc.data();
 
-    // Find the current signer's userId from the signers array
-    let currentSignerId = null;
-    let signerInfo = null;
-    if (Array.isArray(documentData.signers)) {
-      const found = documentData.signers.find(s => s.email === signer);
-      if (found) {
-        currentSignerId = found.id || found.userId || null;
-        signerInfo = found;
-      }
+    const voidedRejection = getVoidedRejection(documentData);
+    if (voidedRejection) {
+      return res.status(voidedRejection.status).json(voidedRejection.body);
     }
 
-    // --- Access Code Check ---
-    if (signerInfo && signerInfo.accessCode) {
-      const providedCode = req.query.accessCode || '';
-      if (!providedCode) {
-        return res.status(401).json({ error: 'Access code required', accessCodeRequired: true });
-      }
-      if (providedCode !== signerInfo.accessCode) {
-        return res.status(403).json({ error: 'Invalid access code', accessCodeRequired: true });
-      }
+    // Verify signing token and access code
+    const access = await authorizeSigner(documentId, documentData, signer, token, req.query.accessCode);
+    if (access.rejection) {
+      return res.status(access.rejection.status).json(access.rejection.body);
     }
 
+    console.log('✅ Token validated successfully');
+
+    // Find the current signer's userId from the signers array
+    const signerInfo = access.signerInfo;
+    const currentSignerId = signerInfo.id || signerInfo.userId || null;
+
+    await recordDocumentEvent(documentId, 'viewed', req, {
+      actor: signerActor(signerInfo),
+      details: { alreadySigned: !!signerInfo.signed }
+    });
     // Filter fields for this signer using assignedSigner (userId)
     let filteredFiles = [];
     if (documentData.files && Array.isArray(documentData.files)) {
@@ -1365,19 +1665,40 @@ app.get('/api/sign/:documentId', async (req, res) => {
 
     console.log('✅ Document access granted for signing1');
 
+    if (documentData.status === 'cancelled') {
+      return res.status(410).json({
+        error: 'Document cancelled',
+        message: 'This document has been cancelled by the sender.'
+      });
+    }
+    if (documentData.status === 'declined') {
+      return res.status(410).json({
+        error: 'Document declined',
+        message: 'This document was declined by a signer and can no longer be signed.'
+      });
+    }
+
+    const turnRejection = checkSigningTurn(documentData, signerInfo);
+    if (turnRejection) {
+      return res.status(turnRejection.status).json(turnRejection.body);
+    }
+
     // --- Expiration check ---
     const { expired, expiresAt } = getExpirationInfo(documentData);
     if (expired) {
       // Mark as expired in DB if not already
-      if (documentData.status !== 'expired') {
-        await docRef.update({ status: 'expired', expiredAt: new Date().toISOString() });
-      }
+      await markDocumentExpired(documentId, documentData, req);
       return res.status(410).json({
         error: 'Document expired',
         message: 'This document has expired. Please contact the sender to re-share.'
       });
     }
 
+    // Not awaited - emitWebhookEvent never throws and the signer should not wait on webhooks
+    emitWebhookEvent(documentData.userId, 'document.viewed', buildWebhookDocumentData(documentId, documentData, {
+      signer: { email: signerInfo.email, name: signerInfo.name || null }
+    }));
+
     // Return filtered document data including only allowed fields
     res.json({ 
       success: true,
@@ -1393,7 +1714,9 @@ app.get('/api/sign/:documentId', async (req, res) => {
         // Legacy support for single file documents
         originalName: documentData.originalName,
         mimeType: documentData.mimeType,
-        fields: filteredFields
+        fields: filteredFields,
+        calculatedValues: documentData.calculatedValues || {},
+        conditionValues: getConditionValues(documentData, signerInfo)
       },
       signer: {
         email: signer,
@@ -1414,14 +1737,22 @@ app.get('/api/sign/:documentId', async (req, res) => {
 app.post('/api/sign/:documentId/submit', async (req, res) => {
   try {
     const { documentId } = req.params;
-    const { signerEmail, signatureData, fieldValues } = req.body;
+    const { signerEmail, token, accessCode, signatureData, fieldValues } = req.body;
 
     console.log('=== SUBMIT SIGNATURE DEBUG ===');
     console.log('Document ID:', documentId);
     console.log('Signer Email:', signerEmail);
+    console.log('Token provided:', !!token);
     console.log('Has signature data:', !!signatureData);
     console.log('Has field values:', !!fieldValues);
 
+    if (!signerEmail || !token) {
+      return res.status(400).json({
+        error: 'Missing required parameters',
+        details: 'Both signer email and access token are required'
+      });
+    }
+
     const docRef = db.collection('documents').doc(documentId);
     const doc = await docRef.get();
 
@@ -1430,13 +1761,69 @@ app.post('/api/sign/:documentId/submit', async (req, res) => {
     }
 
     const documentData = doc.data();
-    
+
+    const voidedRejection = getVoidedRejection(documentData);
+    if (voidedRejection) {
+      return res.status(voidedRejection.status).json(voidedRejection.body);
+    }
+
+    // Same token and access code checks as the read route
+    const access = await authorizeSigner(documentId, documentData, signerEmail, token, accessCode);
+    if (access.rejection) {
+      return res.status(access.rejection.status).json(access.rejection.body);
+    }
+
     // Find the current signer
-    const currentSigner = documentData.signers.find(s => s.email === signerEmail)
-    if (currentSigner && currentSigner.role && currentSigner.role.toLowerCase() === 'viewer') {
+    const currentSigner = access.signerInfo;
+    if (currentSigner.role && currentSigner.role.toLowerCase() === 'viewer') {
       return res.status(403).json({ error: 'Viewers are not allowed to sign this document.' });
     }
 
+    if (currentSigner.signed) {
+      return res.status(409).json({ error: 'You have already signed this document' });
+    }
+
+    const turnRejection = checkSigningTurn(documentData, currentSigner);
+    if (turnRejection) {
+      return res.status(turnRejection.status).json(turnRejection.body);
+    }
+
+    // Only documents that are out for signature accept submissions
+    if (documentData.status === 'cancelled') {
+      return res.status(410).json({
+        error: 'Document cancelled',
+        message: 'This document has been cancelled by the sender.'
+      });
+    }
+    if (documentData.status === 'completed') {
+      return res.status(409).json({ error: 'Document has already been completed' });
+    }
+    if (documentData.status === 'declined') {
+      return res.status(410).json({
+        error: 'Document declined',
+        message: 'This document was declined by a signer and can no longer be signed.'
+      });
+    }
+
+    // --- Expiration check ---
+    const { expired } = getExpirationInfo(documentData);
+    if (expired || documentData.status === 'expired') {
+      await markDocumentExpired(documentId, documentData, req);
+      return res.status(410).json({
+        error: 'Document expired',
+        message: 'This document has expired. Please contact the sender to re-share.'
+      });
+    }
+
+    // Validate the signer's field values against the field definitions
+    const fieldValidation = fieldService.validateSubmission(documentData, currentSigner, fieldValues);
+    if (!fieldValidation.valid) {
+      return res.status(400).json({
+        error: 'Some fields are missing or invalid',
+        fieldErrors: fieldValidation.fieldErrors
+      });
+    }
+
     // Find and update signer
     const updatedSigners = documentData.signers.map(signer => {
       if (signer.email === signerEmail) {
@@ -1444,8 +1831,11 @@ app.post('/api/sign/:documentId/submit', async (req, res) => {
           ...signer,
           signed: true,
           signedAt: new Date().toISOString(),
+          signedIp: getClientIp(req) || null,
+          signedUserAgent: req.headers['user-agent'] || null,
+          authMethod: signer.accessCode ? 'email_link+access_code' : 'email_link',
           signatureData: signatureData,
-          fieldValues: fieldValues
+          fieldValues: fieldValidation.values
         };
       }
       return signer;
@@ -1459,6 +1849,8 @@ app.post('/api/sign/:documentId/submit', async (req, res) => {
     const updateData = {
       signers: updatedSigners,
       status: allSigned ? 'completed' : 'partially_signed',
+      // Recomputed from everyone's values so far; client-supplied values for these fields are ignored
+      calculatedValues: fieldService.computeCalculatedValues(documentData, fieldService.getDocumentValues(documentData, updatedSigners)),
       updatedAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp()
     };
 
@@ -1466,9 +1858,60 @@ app.post('/api/sign/:documentId/submit', async (req, res) => {
       updateData.completedAt = isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp();
     }
 
+    // Sequential workflow: hand the document to the next signer in order
+    const nextStep = isSequentialWorkflow(documentData) && !allSigned ? getCurrentStep(updatedSigners) : null;
+    if (nextStep) {
+      updateData.currentStep = nextStep.step;
+    }
+
+    // Custom workflow: once the current routing group is done, open the next one
+    let nextGroup = null;
+    if (isRoutingGroupWorkflow(documentData) && !allSigned) {
+      const currentGroup = getCurrentGroup(updatedSigners);
+      if (currentGroup) {
+        updateData.currentGroup = currentGroup.group;
+        if (currentGroup.group !== getCurrentGroup(documentData.signers)?.group) {
+          nextGroup = currentGroup;
+        }
+      }
+    }
+
     await docRef.update(updateData);
     console.log('✅ Document updated with new status:', updateData.status);
 
+    await recordDocumentEvent(documentId, 'signed', req, { actor: signerActor(currentSigner) });
+    if (allSigned) {
+      await recordDocumentEvent(documentId, 'completed', req, { actor: { type: 'system' } });
+    }
+    const updatedDocumentData = { ...documentData, ...updateData };
+    // Not awaited, like document.viewed
+    emitWebhookEvent(documentData.userId, 'document.signed', buildWebhookDocumentData(documentId, updatedDocumentData, {
+      signer: { email: currentSigner.email, name: currentSigner.name || null }
+    }));
+    if (allSigned) {
+      emitWebhookEvent(documentData.userId, 'document.completed', buildWebhookDocumentData(documentId, updatedDocumentData, {
+        completedAt: new Date().toISOString()
+      }));
+    }
+
+    if (nextStep) {
+      console.log(`➡️ Sequential workflow: notifying step ${nextStep.step} signer ${nextStep.signer.email}`);
+      await sendSigningRequestEmails(documentId, documentData, [nextStep.signer]);
+      await recordDocumentEvent(documentId, 'sent', req, {
+        actor: { type: 'system' },
+        details: { workflowType: 'sequential', step: nextStep.step, signers: [nextStep.signer.email] }
+      });
+    }
+
+    if (nextGroup) {
+      console.log(`➡️ Custom workflow: notifying routing group ${nextGroup.group} (${nextGroup.signers.length} signer(s))`);
+      await sendSigningRequestEmails(documentId, documentData, nextGroup.signers);
+      await recordDocumentEvent(documentId, 'sent', req, {
+        actor: { type: 'system' },
+        details: { workflowType: 'custom', routingGroup: nextGroup.group, signers: nextGroup.signers.map(s => s.email) }
+      });
+    }
+
     // Send completion email if all signers have signed
     if (allSigned) {
       try {
@@ -1479,9 +1922,9 @@ app.post('/api/sign/:documentId/submit', async (req, res) => {
         const ownerData = ownerDoc.exists ? ownerDoc.data() : null;
         const documentTitle = documentData.title || documentData.originalName || 'Document';
         
-        // Generate completed PDF with all signatures
+        // Generate and store the completed PDF with all signatures
         console.log('📄 Generating completed PDF document...');
-        const completedPDF = await pdfService.generateCompletedDocument(documentData, updatedSigners, bucket);
+        const completedPDF = await storeCompletedPDF(documentId, documentData, updatedSigners);
         
         console.log(`✅ PDF generated: ${completedPDF.filename}`);
         
@@ -1510,7 +1953,7 @@ app.post('/api/sign/:documentId/submit', async (req, res) => {
             recipientName: signer.name || signer.email.split('@')[0],
             documentTitle: documentTitle,
             signers: signersList,
-            downloadUrl: `${API_BASE_URL}/api/documents/${documentId}/download`
+            downloadUrl: buildSignerDownloadUrl(documentId, signer)
           };
 
           console.log(`📧 Sending completed PDF to signer: ${signer.email}`);
@@ -1534,7 +1977,8 @@ app.post('/api/sign/:documentId/submit', async (req, res) => {
       message: 'Signature submitted successfully',
       allSigned: allSigned,
       documentStatus: updateData.status,
-      downloadUrl: allSigned ? `${API_BASE_URL}/api/documents/${documentId}/download` : null
+      calculatedValues: updateData.calculatedValues,
+      downloadUrl: allSigned ? buildSignerDownloadUrl(documentId, access.signerInfo) : null
     });
   } catch (error) {
     console.error('Submit signature error:', error);
@@ -1542,23 +1986,303 @@ app.post('/api/sign/:documentId/submit', async (req, res) => {
   }
 });
 
-// Get all documents (for dashboard) - Now requires authentication and filters by user
-app.get('/api/documents', authenticateToken, async (req, res) => {
+// Decline to sign - closes the document for all signers and notifies the owner
+app.post('/api/sign/:documentId/decline', async (req, res) => {
   try {
-    const { page = 1, limit = 10, status } = req.query;
-    const offset = (page - 1) * limit;
-    const userId = req.user.userId;
-
-    console.log('=== DOCUMENTS ENDPOINT DEBUG ===');
-    console.log('User ID:', userId);
-    console.log('Page:', page, 'Limit:', limit, 'Status:', status);
-    console.log('Local mode:', isLocalMode);
+    const { documentId } = req.params;
+    const { signerEmail, token, accessCode } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
 
-    // Base query - always filter by userId first
-    let query = db.collection('documents').where('userId', '==', userId);
-    
-    // Handle status filtering
-    if (status && status !== 'all') {
+    if (!signerEmail || !token) {
+      return res.status(400).json({
+        error: 'Missing required parameters',
+        details: 'Both signer email and access token are required'
+      });
+    }
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason for declining is required' });
+    }
+    if (reason.length > 1000) {
+      return res.status(400).json({ error: 'Reason must be 1000 characters or less' });
+    }
+
+    const docRef = db.collection('documents').doc(documentId);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const documentData = doc.data();
+
+    const voidedRejection = getVoidedRejection(documentData);
+    if (voidedRejection) {
+      return res.status(voidedRejection.status).json(voidedRejection.body);
+    }
+
+    const access = await authorizeSigner(documentId, documentData, signerEmail, token, accessCode);
+    if (access.rejection) {
+      return res.status(access.rejection.status).json(access.rejection.body);
+    }
+
+    const currentSigner = access.signerInfo;
+    if (currentSigner.role && currentSigner.role.toLowerCase() === 'viewer') {
+      return res.status(403).json({ error: 'Viewers cannot decline this document.' });
+    }
+    if (currentSigner.signed) {
+      return res.status(409).json({ error: 'You have already signed this document' });
+    }
+
+    const turnRejection = checkSigningTurn(documentData, currentSigner);
+    if (turnRejection) {
+      return res.status(turnRejection.status).json(turnRejection.body);
+    }
+
+    if (documentData.status === 'cancelled') {
+      return res.status(410).json({
+        error: 'Document cancelled',
+        message: 'This document has been cancelled by the sender.'
+      });
+    }
+    if (documentData.status === 'completed') {
+      return res.status(409).json({ error: 'Document has already been completed' });
+    }
+    if (documentData.status === 'declined') {
+      return res.status(409).json({ error: 'Document has already been declined' });
+    }
+
+    const { expired } = getExpirationInfo(documentData);
+    if (expired || documentData.status === 'expired') {
+      return res.status(410).json({
+        error: 'Document expired',
+        message: 'This document has expired. Please contact the sender to re-share.'
+      });
+    }
+
+    const declinedAt = new Date().toISOString();
+    const updatedSigners = documentData.signers.map(signer => (
+      signer.email === signerEmail
+        ? { ...signer, declined: true, declinedAt, declineReason: reason }
+        : signer
+    ));
+
+    await docRef.update({
+      signers: updatedSigners,
+      status: 'declined',
+      declinedAt,
+      declinedBy: { email: currentSigner.email, name: currentSigner.name || null },
+      declineReason: reason,
+      updatedAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp()
+    });
+
+    await recordDocumentEvent(documentId, 'declined', req, {
+      actor: signerActor(currentSigner),
+      details: { reason }
+    });
+    // Not awaited, like document.viewed
+    emitWebhookEvent(documentData.userId, 'document.declined', buildWebhookDocumentData(documentId, { ...documentData, status: 'declined' }, {
+      signer: { email: currentSigner.email, name: currentSigner.name || null },
+      reason,
+      declinedAt
+    }));
+
+    // Let the owner know - a failed email must not undo the decline
+    try {
+      const ownerDoc = await db.collection('users').doc(documentData.userId).get();
+      const ownerData = ownerDoc.exists ? ownerDoc.data() : null;
+      await emailService.sendDocumentDeclinedEmail({
+        recipientEmail: ownerData?.email || documentData.createdBy?.email,
+        recipientName: ownerData?.name || documentData.createdBy?.name || 'Document Owner',
+        documentTitle: documentData.title || documentData.originalName || 'Document',
+        signerName: currentSigner.name,
+        signerEmail: currentSigner.email,
+        reason,
+        declinedAt,
+        documentUrl: `${process.env.FRONTEND_URL_WEB}/dashboard`
+      });
+    } catch (emailError) {
+      console.error('Decline notification email error:', emailError);
+    }
+
+    res.json({
+      success: true,
+      message: 'You have declined to sign this document',
+      documentStatus: 'declined'
+    });
+  } catch (error) {
+    console.error('Decline signature error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Signer attachment uploads - stored next to the document, referenced by attachmentId in fieldValues
+const DEFAULT_ATTACHMENT_TYPES = ['application/pdf', 'image/png', 'image/jpeg'];
+const DEFAULT_ATTACHMENT_MAX_SIZE_MB = 10;
+
+app.post('/api/sign/:documentId/attachments', upload.single('attachment'), async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { signerEmail, token, accessCode, fieldId } = req.body;
+
+    if (!signerEmail || !token) {
+      return res.status(400).json({
+        error: 'Missing required parameters',
+        details: 'Both signer email and access token are required'
+      });
+    }
+    if (!fieldId) {
+      return res.status(400).json({ error: 'fieldId is required' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const docRef = db.collection('documents').doc(documentId);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const documentData = doc.data();
+
+    const voidedRejection = getVoidedRejection(documentData);
+    if (voidedRejection) {
+      return res.status(voidedRejection.status).json(voidedRejection.body);
+    }
+
+    const access = await authorizeSigner(documentId, documentData, signerEmail, token, accessCode);
+    if (access.rejection) {
+      return res.status(access.rejection.status).json(access.rejection.body);
+    }
+
+    const currentSigner = access.signerInfo;
+    if (isViewer(currentSigner)) {
+      return res.status(403).json({ error: 'Viewers cannot upload attachments.' });
+    }
+    if (currentSigner.signed) {
+      return res.status(409).json({ error: 'You have already signed this document' });
+    }
+
+    const turnRejection = checkSigningTurn(documentData, currentSigner);
+    if (turnRejection) {
+      return res.status(turnRejection.status).json(turnRejection.body);
+    }
+
+    if (documentData.status === 'cancelled') {
+      return res.status(410).json({
+        error: 'Document cancelled',
+        message: 'This document has been cancelled by the sender.'
+      });
+    }
+    if (documentData.status === 'declined') {
+      return res.status(410).json({
+        error: 'Document declined',
+        message: 'This document has been declined and can no longer be signed.'
+      });
+    }
+    if (documentData.status === 'completed') {
+      return res.status(409).json({ error: 'Document has already been completed' });
+    }
+
+    const { expired } = getExpirationInfo(documentData);
+    if (expired || documentData.status === 'expired') {
+      return res.status(410).json({
+        error: 'Document expired',
+        message: 'This document has expired. Please contact the sender to re-share.'
+      });
+    }
+
+    const field = fieldService.getSignerFields(documentData, currentSigner).find(f => f.id === fieldId);
+    if (!field || field.type !== 'attachment') {
+      return res.status(404).json({ error: 'Attachment field not found' });
+    }
+
+    const allowedTypes = Array.isArray(field.accept) && field.accept.length > 0 ? field.accept : DEFAULT_ATTACHMENT_TYPES;
+    if (!allowedTypes.includes(req.file.mimetype)) {
+      return res.status(400).json({
+        error: 'File type not allowed',
+        details: `Allowed types: ${allowedTypes.join(', ')}`
+      });
+    }
+
+    const maxSizeMb = Number(field.maxSizeMb) > 0 ? Number(field.maxSizeMb) : DEFAULT_ATTACHMENT_MAX_SIZE_MB;
+    if (req.file.size > maxSizeMb * 1024 * 1024) {
+      return res.status(400).json({ error: `File must be ${maxSizeMb} MB or smaller` });
+    }
+
+    const attachmentId = crypto.randomUUID();
+    const safeName = req.file.originalname.replace(/[^a-zA-Z0-9._-]/g, '_');
+    const fileName = `documents/${documentId}/attachments/${attachmentId}_${safeName}`;
+    await bucket.file(fileName).save(req.file.buffer, {
+      contentType: req.file.mimetype
+    });
+
+    const attachment = {
+      attachmentId,
+      fieldId,
+      signerEmail: currentSigner.email,
+      originalName: req.file.originalname,
+      fileName,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      sha256: crypto.createHash('sha256').update(req.file.buffer).digest('hex'),
+      uploadedAt: new Date().toISOString()
+    };
+
+    // A re-upload replaces the signer's previous file for the same field. The list is re-read
+    // and written in a transaction so concurrent uploads for other fields are not lost.
+    const replaced = await db.runTransaction(async (transaction) => {
+      const attachments = (await transaction.get(docRef)).data().attachments || [];
+      const previous = attachments.filter(a => a.fieldId === fieldId && a.signerEmail === currentSigner.email);
+      transaction.update(docRef, {
+        attachments: [...attachments.filter(a => !previous.includes(a)), attachment],
+        updatedAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp()
+      });
+      return previous;
+    });
+    for (const previous of replaced) {
+      try {
+        await bucket.file(previous.fileName).delete();
+      } catch (storageError) {
+        console.error('Storage deletion error for attachment:', previous.fileName, storageError);
+      }
+    }
+
+    await recordDocumentEvent(documentId, 'attachment_uploaded', req, {
+      actor: signerActor(currentSigner),
+      details: { fieldId, fileName: attachment.originalName, size: attachment.size, sha256: attachment.sha256 }
+    });
+
+    const { fileName: storagePath, ...publicAttachment } = attachment;
+    res.status(201).json({
+      success: true,
+      message: 'Attachment uploaded. Submit its attachmentId as the field value.',
+      attachment: publicAttachment
+    });
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get all documents (for dashboard) - Now requires authentication and filters by user
+app.get('/api/documents', requireScope('documents:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const offset = (page - 1) * limit;
+    const userId = req.user.userId;
+
+    console.log('=== DOCUMENTS ENDPOINT DEBUG ===');
+    console.log('User ID:', userId);
+    console.log('Page:', page, 'Limit:', limit, 'Status:', status);
+    console.log('Local mode:', isLocalMode);
+
+    // Base query - always filter by userId first
+    let query = db.collection('documents').where('userId', '==', userId);
+    
+    // Handle status filtering
+    if (status && status !== 'all') {
       // Add status filter
       query = query.where('status', '==', status);
       
@@ -1624,15 +2348,18 @@ app.get('/api/documents', authenticateToken, async (req, res) => {
 });
 
 // Update document status - Now requires authentication
-app.put('/api/documents/:documentId/status', authenticateToken, verifyDocumentOwnership, async (req, res) => {
+app.put('/api/documents/:documentId/status', requireScope('documents:write'), verifyDocumentOwnership, async (req, res) => {
   try {
     const { documentId } = req.params;
     const { status } = req.body;
 
-    const validStatuses = ['draft', 'sent', 'partially_signed', 'completed', 'cancelled'];
+    const validStatuses = ['draft', 'sent', 'partially_signed', 'completed', 'cancelled', 'declined'];
     if (!validStatuses.includes(status)) {
       return res.status(400).json({ error: 'Invalid status' });
     }
+    if (req.document.status === 'voided') {
+      return res.status(409).json({ error: 'Voided documents cannot be changed. Duplicate it to send again.' });
+    }
 
     const updateData = {
       status: status,
@@ -1646,6 +2373,10 @@ app.put('/api/documents/:documentId/status', authenticateToken, verifyDocumentOw
     const docRef = db.collection('documents').doc(documentId);
     await docRef.update(updateData);
 
+    if (status === 'cancelled') {
+      await recordDocumentEvent(documentId, 'cancelled', req, { actor: userActor(req) });
+    }
+
     res.json({ success: true, message: 'Document status updated successfully' });
   } catch (error) {
     console.error('Update document status error:', error);
@@ -1653,8 +2384,273 @@ app.put('/api/documents/:documentId/status', authenticateToken, verifyDocumentOw
   }
 });
 
+// Void a document: closes it with a reason, revokes every signing link and tells pending signers
+app.post('/api/documents/:documentId/void', requireScope('documents:send'), verifyDocumentOwnership, async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const documentData = req.document; // From verifyDocumentOwnership middleware
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason for voiding is required' });
+    }
+    if (reason.length > 1000) {
+      return res.status(400).json({ error: 'Reason must be 1000 characters or less' });
+    }
+    if (documentData.status === 'completed') {
+      return res.status(409).json({ error: 'Completed documents cannot be voided' });
+    }
+    if (documentData.status === 'voided') {
+      return res.status(409).json({ error: 'Document has already been voided' });
+    }
+
+    // A fresh signingTokenId invalidates every link issued so far
+    const signers = (documentData.signers || []).map(signer => ({ ...signer, signingTokenId: crypto.randomUUID() }));
+    const pendingSigners = signers.filter(signer => !signer.signed && !signer.declined);
+    const voidedAt = new Date().toISOString();
+
+    await db.collection('documents').doc(documentId).update({
+      status: 'voided',
+      voidedAt,
+      voidedBy: { userId: req.user.userId, email: req.user.email, name: req.user.name || null },
+      voidReason: reason,
+      signers,
+      updatedAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp()
+    });
+
+    await recordDocumentEvent(documentId, 'voided', req, {
+      actor: userActor(req),
+      details: { reason, notifiedSigners: pendingSigners.map(s => s.email) }
+    });
+
+    // Let pending signers know - a failed email must not undo the void
+    const senderDoc = await db.collection('users').doc(req.user.userId).get();
+    const senderData = senderDoc.exists ? senderDoc.data() : null;
+    let emailsSent = 0;
+    for (const signer of pendingSigners) {
+      try {
+        await emailService.sendDocumentVoidedEmail({
+          recipientEmail: signer.email,
+          recipientName: signer.name,
+          documentTitle: documentData.title || documentData.originalName || 'Document',
+          senderName: senderData?.name || req.user.name || req.user.email,
+          reason,
+          voidedAt
+        });
+        emailsSent++;
+      } catch (emailError) {
+        console.error(`Void notification email error for ${signer.email}:`, emailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Document voided',
+      documentStatus: 'voided',
+      notifiedSigners: pendingSigners.length,
+      emailsSent
+    });
+  } catch (error) {
+    console.error('Void document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Correct a sent document: replace files, adjust fields or change signers. Collected signatures
+// are invalidated (kept in signatureHistory) and signers get fresh links to the corrected version.
+// multipart/form-data: replace_<fileId> files, fileFields (JSON), signers (JSON), message
+app.post('/api/documents/:documentId/correct', requireScope('documents:send'), requireVerifiedEmail, verifyDocumentOwnership, upload.any(), async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const documentData = req.document; // From verifyDocumentOwnership middleware
+
+    if (!['sent', 'partially_signed'].includes(documentData.status)) {
+      return res.status(409).json({ error: 'Only sent or partially signed documents can be corrected' });
+    }
+    if (!Array.isArray(documentData.files) || documentData.files.length === 0) {
+      return res.status(400).json({ error: 'Only documents uploaded with files can be corrected' });
+    }
+
+    const fileFields = parseFormJson(req.body.fileFields, null);
+    const signerInput = parseFormJson(req.body.signers, null);
+    if (fileFields === undefined || (fileFields !== null && !Array.isArray(fileFields))) {
+      return res.status(400).json({ error: 'fileFields must be an array' });
+    }
+    if (signerInput === undefined || (signerInput !== null && (!Array.isArray(signerInput) || signerInput.length === 0))) {
+      return res.status(400).json({ error: 'signers must be a non-empty array' });
+    }
+
+    const replacements = (req.files || []).filter(file => file.fieldname.startsWith('replace_'));
+    if (replacements.length === 0 && !fileFields && !signerInput) {
+      return res.status(400).json({ error: 'Nothing to correct: replace a file, or send fileFields or signers' });
+    }
+    for (const replacement of replacements) {
+      const fileId = replacement.fieldname.slice('replace_'.length);
+      if (!documentData.files.some(file => file.fileId === fileId)) {
+        return res.status(400).json({ error: `Unknown file to replace: ${fileId}` });
+      }
+    }
+
+    // Signers: existing ones are matched by id (or email) and keep their id; new ones get one
+    const workflowType = documentData.workflowType;
+    const existingSigners = documentData.signers || [];
+    let signers = existingSigners;
+    if (signerInput) {
+      for (const signer of signerInput) {
+        if (!signer?.name || !signer?.email || !EMAIL_PATTERN.test(signer.email)) {
+          return res.status(400).json({ error: 'All signers must have a name and a valid email' });
+        }
+        if (workflowType === 'custom' && parseRoutingGroup(signer.routingGroup) === null) {
+          return res.status(400).json({ error: `Invalid routing group for ${signer.email}: must be a positive integer` });
+        }
+      }
+      signers = signerInput.map((signer, index) => {
+        const existing = existingSigners.find(s => (signer.id && s.id === signer.id) || s.email === signer.email) || {};
+        return {
+          ...existing,
+          ...signer,
+          id: existing.id || signer.id || crypto.randomUUID(),
+          order: workflowType === 'sequential' ? index + 1 : (signer.order ?? existing.order ?? 0),
+          routingGroup: workflowType === 'custom' ? parseRoutingGroup(signer.routingGroup) : null,
+          addedAt: existing.addedAt || new Date().toISOString()
+        };
+      });
+    }
+
+    let files = documentData.files;
+    if (fileFields) {
+      files = files.map(file => {
+        const fileFieldData = fileFields.find(ff => ff.fileId === file.fileId);
+        return fileFieldData ? { ...file, fields: fileFieldData.fields || [] } : file;
+      });
+    }
+
+    const allFields = fieldService.getAllFields({ files });
+    const definitionCheck = fieldService.validateFieldDefinitions(allFields);
+    const signerIds = new Set(signers.map(signer => signer.id || signer.userId).filter(Boolean));
+    const fieldErrors = { ...definitionCheck.fieldErrors };
+    allFields.forEach(field => {
+      if (field.assignedSigner && !signerIds.has(field.assignedSigner)) {
+        fieldErrors[field.id] = 'Assigned to a signer who is no longer on the document';
+      }
+    });
+    if (Object.keys(fieldErrors).length > 0) {
+      return res.status(400).json({ error: 'Invalid field definitions', fieldErrors });
+    }
+
+    // Replaced files get a new version; earlier versions stay in storage for the audit trail
+    const replacedFiles = [];
+    const replacedAt = new Date().toISOString();
+    for (const replacement of replacements) {
+      const fileId = replacement.fieldname.slice('replace_'.length);
+      const index = files.findIndex(file => file.fileId === fileId);
+      const current = files[index];
+      const version = (current.version || 1) + 1;
+      const fileName = `documents/${documentId}/${fileId}_v${version}_${replacement.originalname}`;
+      const sha256 = crypto.createHash('sha256').update(replacement.buffer).digest('hex');
+      await bucket.file(fileName).save(replacement.buffer, { contentType: replacement.mimetype });
+
+      files = files.map((file, i) => (i !== index ? file : {
+        ...file,
+        originalName: replacement.originalname,
+        fileName,
+        fileUrl: isLocalMode ? file.fileUrl : `https://storage.googleapis.com/${bucket.name}/${fileName}`,
+        mimeType: replacement.mimetype,
+        size: replacement.size,
+        sha256,
+        version,
+        versions: [
+          ...(file.versions || []),
+          {
+            version: current.version || 1,
+            fileName: current.fileName,
+            originalName: current.originalName,
+            mimeType: current.mimeType,
+            size: current.size,
+            sha256: current.sha256 || null,
+            replacedAt
+          }
+        ]
+      }));
+      replacedFiles.push({ fileId, fromVersion: current.version || 1, toVersion: version, sha256 });
+    }
+
+    // Every collected signature is for the old version: keep it as history and start over
+    const correctionId = crypto.randomUUID();
+    const invalidated = existingSigners
+      .filter(signer => signer.signed)
+      .map(signer => ({
+        correctionId,
+        signerId: signer.id || null,
+        email: signer.email,
+        name: signer.name || null,
+        signedAt: signer.signedAt || null,
+        signatureData: signer.signatureData || null,
+        fieldValues: signer.fieldValues || null,
+        invalidatedAt: replacedAt
+      }));
+    const resetSigners = signers.map(signer => ({
+      ...signer,
+      signed: false,
+      signedAt: null,
+      signatureData: null,
+      fieldValues: null,
+      signingTokenId: crypto.randomUUID()
+    }));
+
+    const correctedData = {
+      ...documentData,
+      files,
+      signers: resetSigners,
+      calculatedValues: null,
+      signatureHistory: [...(documentData.signatureHistory || []), ...invalidated],
+      lastCorrectedAt: replacedAt
+    };
+    await db.collection('documents').doc(documentId).update({
+      files,
+      signers: resetSigners,
+      calculatedValues: null,
+      signatureHistory: correctedData.signatureHistory,
+      lastCorrectedAt: replacedAt,
+      updatedAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp()
+    });
+
+    const previousEmails = existingSigners.map(signer => signer.email);
+    const newEmails = resetSigners.map(signer => signer.email);
+    await recordDocumentEvent(documentId, 'corrected', req, {
+      actor: userActor(req),
+      details: {
+        correctionId,
+        replacedFiles,
+        fieldsChanged: !!fileFields,
+        signersAdded: newEmails.filter(email => !previousEmails.includes(email)),
+        signersRemoved: previousEmails.filter(email => !newEmails.includes(email)),
+        invalidatedSignatures: invalidated.map(entry => entry.email)
+      }
+    });
+
+    const note = typeof req.body.message === 'string' && req.body.message.trim() ? ` ${req.body.message.trim()}` : '';
+    const { signersToNotify, emailsSent } = await startSigningWorkflow(documentId, correctedData, req, {
+      message: `This document was corrected by the sender. Please review and sign the updated version.${note}`
+    });
+
+    res.json({
+      success: true,
+      message: 'Document corrected and re-sent',
+      correctionId,
+      replacedFiles,
+      invalidatedSignatures: invalidated.length,
+      notifiedSigners: signersToNotify.length,
+      emailsSent
+    });
+  } catch (error) {
+    console.error('Correct document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Duplicate document for editing - Now requires authentication
-app.post('/api/documents/:documentId/duplicate', authenticateToken, verifyDocumentOwnership, async (req, res) => {
+app.post('/api/documents/:documentId/duplicate', requireScope('documents:write'), verifyDocumentOwnership, async (req, res) => {
   try {
     const { documentId } = req.params;
     const originalDoc = req.document; // From verifyDocumentOwnership middleware
@@ -1674,12 +2670,22 @@ app.post('/api/documents/:documentId/duplicate', authenticateToken, verifyDocume
       sentAt: null,
       completedAt: null,
       cancelledAt: null,
+      declinedAt: null,
+      declinedBy: null,
+      declineReason: null,
+      voidedAt: null,
+      voidedBy: null,
+      voidReason: null,
+      attachments: [],
       signers: originalDoc.signers?.map(signer => ({
         ...signer,
         signed: false,
         signedAt: null,
         signatureData: null,
-        fieldValues: null
+        fieldValues: null,
+        declined: false,
+        declinedAt: null,
+        declineReason: null
       })) || [],
       createdBy: {
         userId: req.user.userId,
@@ -1702,35 +2708,60 @@ app.post('/api/documents/:documentId/duplicate', authenticateToken, verifyDocume
 });
 
 // Delete document - Now requires authentication
-app.delete('/api/documents/:documentId', authenticateToken, verifyDocumentOwnership, async (req, res) => {
-  try {
-    const { documentId } = req.params;
-    const documentData = req.document; // From verifyDocumentOwnership middleware
-
-    // Delete files from storage
-    if (documentData.files && Array.isArray(documentData.files)) {
-      // Multi-file document
-      for (const file of documentData.files) {
+// Delete a document with all of its stored files (every version and signer attachments)
+async function deleteDocumentAndFiles(documentId, documentData) {
+  // Delete files from storage
+  if (documentData.files && Array.isArray(documentData.files)) {
+    // Multi-file document
+    for (const file of documentData.files) {
+      const fileNames = [file.fileName, ...(file.versions || []).map(version => version.fileName)];
+      for (const fileName of fileNames) {
         try {
-          await bucket.file(file.fileName).delete();
+          await bucket.file(fileName).delete();
         } catch (storageError) {
-          console.error('Storage deletion error for file:', file.fileName, storageError);
+          console.error('Storage deletion error for file:', fileName, storageError);
           // Continue with other files even if one fails
         }
       }
-    } else if (documentData.fileName) {
-      // Single file document
-      try {
-        await bucket.file(documentData.fileName).delete();
-      } catch (storageError) {
-        console.error('Storage deletion error:', storageError);
-        // Continue with Firestore deletion even if storage deletion fails
-      }
     }
+  } else if (documentData.fileName) {
+    // Single file document
+    try {
+      await bucket.file(documentData.fileName).delete();
+    } catch (storageError) {
+      console.error('Storage deletion error:', storageError);
+      // Continue with Firestore deletion even if storage deletion fails
+    }
+  }
 
-    // Delete document from Firestore
-    const docRef = db.collection('documents').doc(documentId);
-    await docRef.delete();
+  // Delete signer attachments
+  for (const attachment of documentData.attachments || []) {
+    try {
+      await bucket.file(attachment.fileName).delete();
+    } catch (storageError) {
+      console.error('Storage deletion error for attachment:', attachment.fileName, storageError);
+    }
+  }
+
+  // Delete the stored completed PDF
+  if (documentData.completedFile) {
+    try {
+      await bucket.file(documentData.completedFile.fileName).delete();
+    } catch (storageError) {
+      console.error('Storage deletion error for completed PDF:', documentData.completedFile.fileName, storageError);
+    }
+  }
+
+  // Delete document from Firestore
+  await db.collection('documents').doc(documentId).delete();
+}
+
+app.delete('/api/documents/:documentId', requireScope('documents:write'), verifyDocumentOwnership, async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const documentData = req.document; // From verifyDocumentOwnership middleware
+
+    await deleteDocumentAndFiles(documentId, documentData);
 
     res.json({ success: true, message: 'Document deleted successfully' });
   } catch (error) {
@@ -1740,7 +2771,7 @@ app.delete('/api/documents/:documentId', authenticateToken, verifyDocumentOwners
 });
 
 // Create sharing workflow configuration - Now requires authentication
-app.post('/api/documents/:documentId/share', authenticateToken, verifyDocumentOwnership, async (req, res) => {
+app.post('/api/documents/:documentId/share', requireScope('documents:send'), requireVerifiedEmail, verifyDocumentOwnership, async (req, res) => {
   try {
     const { documentId } = req.params;
     const { signers, workflowType, message, senderName, senderEmail } = req.body;
@@ -1766,6 +2797,15 @@ app.post('/api/documents/:documentId/share', authenticateToken, verifyDocumentOw
       return res.status(400).json({ error: 'Invalid workflow type' });
     }
 
+    // Custom workflows place each signer in a numbered routing group (default 1)
+    if (workflowType === 'custom') {
+      for (const signer of signers) {
+        if (parseRoutingGroup(signer.routingGroup) === null) {
+          return res.status(400).json({ error: `Invalid routing group for ${signer.email}: must be a positive integer` });
+        }
+      }
+    }
+
     // Get document data
     const docRef = db.collection('documents').doc(documentId);
     const doc = await docRef.get();
@@ -1780,6 +2820,7 @@ app.post('/api/documents/:documentId/share', authenticateToken, verifyDocumentOw
       id: crypto.randomUUID(),
       signed: false,
       order: workflowType === 'sequential' ? index + 1 : 0,
+      routingGroup: workflowType === 'custom' ? parseRoutingGroup(signer.routingGroup) : null,
       addedAt: new Date().toISOString()
     }));
 
@@ -1807,8 +2848,8 @@ app.post('/api/documents/:documentId/share', authenticateToken, verifyDocumentOw
   }
 });
 
-// Send document with workflow
-app.post('/api/documents/:documentId/send-workflow', async (req, res) => {
+// Send document with workflow - Now requires authentication
+app.post('/api/documents/:documentId/send-workflow', requireScope('documents:send'), requireVerifiedEmail, verifyDocumentOwnership, async (req, res) => {
   try {
     const { documentId } = req.params;
 
@@ -1825,51 +2866,17 @@ app.post('/api/documents/:documentId/send-workflow', async (req, res) => {
     if (!documentData.signers || documentData.signers.length === 0) {
       return res.status(400).json({ error: 'No signers configured for this document' });
     }
-
-    // Determine which signers to notify based on workflow type
-    let signersToNotify = [];
-    
-    switch (documentData.workflowType) {
-      case 'parallel':
-        // Send to all signers simultaneously
-        signersToNotify = documentData.signers;
-        break;
-      
-      case 'sequential':
-        // Send only to the first signer in order
-        signersToNotify = documentData.signers
-          .filter(s => !s.signed)
-          .sort((a, b) => a.order - b.order)
-          .slice(0, 1);
-        break;
-      
-      case 'custom':
-        // For now, treat custom like parallel
-        signersToNotify = documentData.signers.filter(s => !s.signed);
-        break;
-      
-      default:
-        signersToNotify = documentData.signers;
+    if (documentData.status === 'voided') {
+      return res.status(409).json({ error: 'Voided documents cannot be sent again. Duplicate it instead.' });
     }
 
-    // Update document status
-    await docRef.update({
-      status: 'sent',
-      sentAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp(),
-      currentStep: documentData.workflowType === 'sequential' ? 1 : 0
-    });
-
-    // Log email details (email sending is disabled)
-    console.log('📧 Email sending temporarily disabled - would send to signers:');
-    signersToNotify.forEach(signer => {
-      const signingUrl = `${process.env.FRONTEND_URL_WEB}/sign/${documentId}?signer=${encodeURIComponent(signer.email)}`;
-      console.log(`   📩 ${signer.name} (${signer.email}) - Role: ${signer.role}: ${signingUrl}`);
-    });
+    const { signersToNotify, emailsSent } = await startSigningWorkflow(documentId, documentData, req);
 
     res.json({ 
       success: true, 
       message: `Document sent successfully using ${documentData.workflowType} workflow`,
       notifiedSigners: signersToNotify.length,
+      emailsSent,
       totalSigners: documentData.signers.length,
       workflowType: documentData.workflowType
     });
@@ -1880,18 +2887,10 @@ app.post('/api/documents/:documentId/send-workflow', async (req, res) => {
 });
 
 // Get sharing configuration for a document
-app.get('/api/documents/:documentId/share', async (req, res) => {
+app.get('/api/documents/:documentId/share', requireScope('documents:read'), verifyDocumentOwnership, async (req, res) => {
   try {
     const { documentId } = req.params;
-
-    const docRef = db.collection('documents').doc(documentId);
-    const doc = await docRef.get();
-
-    if (!doc.exists) {
-      return res.status(404).json({ error: 'Document not found' });
-    }
-
-    const documentData = doc.data();
+    const documentData = req.document; // From verifyDocumentOwnership middleware
 
     res.json({ 
       success: true, 
@@ -1901,6 +2900,8 @@ app.get('/api/documents/:documentId/share', async (req, res) => {
         status: documentData.status,
         signers: documentData.signers || [],
         workflowType: documentData.workflowType || 'parallel',
+        currentStep: documentData.currentStep || 0,
+        currentGroup: isRoutingGroupWorkflow(documentData) ? (getCurrentGroup(documentData.signers)?.group || null) : null,
         message: documentData.message || '',
         senderName: documentData.senderName,
         senderEmail: documentData.senderEmail,
@@ -1915,10 +2916,10 @@ app.get('/api/documents/:documentId/share', async (req, res) => {
 });
 
 // Update signer in workflow
-app.put('/api/documents/:documentId/signers/:signerId', async (req, res) => {
+app.put('/api/documents/:documentId/signers/:signerId', requireScope('documents:write'), verifyDocumentOwnership, async (req, res) => {
   try {
     const { documentId, signerId } = req.params;
-    const { name, email, role } = req.body;
+    const { name, email, role, routingGroup } = req.body;
 
     // Validate input
     if (!name || !email || !role) {
@@ -1929,16 +2930,13 @@ app.put('/api/documents/:documentId/signers/:signerId', async (req, res) => {
       return res.status(400).json({ error: 'Role must be either "sign" or "review"' });
     }
 
-    // Get document data
-    const docRef = db.collection('documents').doc(documentId);
-    const doc = await docRef.get();
-
-    if (!doc.exists) {
-      return res.status(404).json({ error: 'Document not found' });
+    if (routingGroup !== undefined && parseRoutingGroup(routingGroup) === null) {
+      return res.status(400).json({ error: 'Routing group must be a positive integer' });
     }
 
-    const documentData = doc.data();
-    
+    const docRef = db.collection('documents').doc(documentId);
+    const documentData = req.document; // From verifyDocumentOwnership middleware
+
     // Find and update the signer
     const updatedSigners = documentData.signers.map(signer => {
       if (signer.id === signerId) {
@@ -1947,6 +2945,7 @@ app.put('/api/documents/:documentId/signers/:signerId', async (req, res) => {
           name,
           email,
           role,
+          ...(routingGroup !== undefined && { routingGroup: parseRoutingGroup(routingGroup) }),
           lastModified: new Date().toISOString()
         };
       }
@@ -1971,20 +2970,13 @@ app.put('/api/documents/:documentId/signers/:signerId', async (req, res) => {
 });
 
 // Remove signer from workflow
-app.delete('/api/documents/:documentId/signers/:signerId', async (req, res) => {
+app.delete('/api/documents/:documentId/signers/:signerId', requireScope('documents:write'), verifyDocumentOwnership, async (req, res) => {
   try {
     const { documentId, signerId } = req.params;
 
-    // Get document data
     const docRef = db.collection('documents').doc(documentId);
-    const doc = await docRef.get();
-
-    if (!doc.exists) {
-      return res.status(404).json({ error: 'Document not found' });
-    }
+    const documentData = req.document; // From verifyDocumentOwnership middleware
 
-    const documentData = doc.data();
-    
     // Remove the signer
     const updatedSigners = documentData.signers.filter(signer => signer.id !== signerId);
 
@@ -2005,8 +2997,58 @@ app.delete('/api/documents/:documentId/signers/:signerId', async (req, res) => {
   }
 });
 
+// Revoke a signer's signing links - optionally email them a fresh one
+app.post('/api/documents/:documentId/signing-links/revoke', requireScope('documents:send'), requireVerifiedEmail, verifyDocumentOwnership, async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { signerEmail, resend = false } = req.body;
+    const documentData = req.document; // From verifyDocumentOwnership middleware
+
+    if (!signerEmail) {
+      return res.status(400).json({ error: 'signerEmail is required' });
+    }
+
+    const signer = documentData.signers?.find(s => s.email === signerEmail);
+    if (!signer) {
+      return res.status(404).json({ error: 'Signer not found' });
+    }
+
+    // Rotating the signingTokenId invalidates every link issued with the old one
+    const updatedSigner = { ...signer, signingTokenId: crypto.randomUUID() };
+    const updatedSigners = documentData.signers.map(s => s.email === signerEmail ? updatedSigner : s);
+
+    await db.collection('documents').doc(documentId).update({
+      signers: updatedSigners,
+      updatedAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp()
+    });
+
+    let resent = false;
+    if (resend && !updatedSigner.signed) {
+      try {
+        await emailService.sendDocumentShareEmail({
+          signerEmail: updatedSigner.email,
+          signerName: updatedSigner.name || updatedSigner.email.split('@')[0],
+          documentTitle: documentData.title || documentData.originalName || 'Document',
+          senderName: documentData.createdBy?.name || req.user.name || 'Document Sender',
+          senderEmail: documentData.createdBy?.email || req.user.email || 'info@eSignTap.com',
+          message: documentData.message || '',
+          signingUrl: buildSigningUrl(documentId, updatedSigner)
+        });
+        resent = true;
+      } catch (emailError) {
+        console.error('Failed to resend signing link to', signerEmail, emailError);
+      }
+    }
+
+    res.json({ success: true, message: 'Signing links revoked', resent });
+  } catch (error) {
+    console.error('Revoke signing link error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Delete a file from a document (remove from Firestore and storage)
-app.delete('/api/documents/:documentId/file/:fileId', authenticateToken, verifyDocumentOwnership, async (req, res) => {
+app.delete('/api/documents/:documentId/file/:fileId', requireScope('documents:write'), verifyDocumentOwnership, async (req, res) => {
   try {
     const { documentId, fileId } = req.params;
     const docRef = db.collection('documents').doc(documentId);
@@ -2036,19 +3078,27 @@ const GOOGLE_SCOPES = [
   'https://www.googleapis.com/auth/userinfo.email'    // Email address
 ];
 
-// User logout - Now uses JWT authentication
+// User logout - ends only the current session; other devices stay logged in
 app.post('/auth/logout', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.userId;
-    
-    // Invalidate user's tokens in database
     const userRef = db.collection('users').doc(userId);
-    await userRef.update({
-      'auth.accessToken': null,
-      'auth.refreshToken': null,
-      lastLogout: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp(),
-      lastUpdated: new Date()
-    });
+
+    if (req.user.sessionId) {
+      await new TokenManager(db).revokeSession(req.user.sessionId, 'logout');
+      await userRef.update({
+        lastLogout: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp(),
+        lastUpdated: new Date()
+      });
+    } else {
+      // Token issued before sessions existed - invalidate the tokens stored on the user
+      await userRef.update({
+        'auth.accessToken': null,
+        'auth.refreshToken': null,
+        lastLogout: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp(),
+        lastUpdated: new Date()
+      });
+    }
     
     return res.status(200).json({
       success: true,
@@ -2118,29 +3168,55 @@ app.post('/auth/refresh', async (req, res) => {
     }
 
     const userData = userDoc.data();
-    
-    // Check if refresh token matches stored token
-    if (userData.auth && userData.auth.refreshToken !== refreshToken) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid refresh token',
-        message: 'The refresh token does not match our records'
-      });
-    }
-
-    // Generate new tokens
     const tokenManager = new TokenManager(db);
-    const newTokens = await tokenManager.generateTokens({
+    const tokenUserData = {
       userId: decoded.userId,
       email: userData.email,
       name: userData.name,
-      loginProvider: userData.loginProvider,
-      lastLoginAt: new Date().toISOString()
-    });
+      loginProvider: userData.loginProvider
+    };
+
+    let newTokens;
+    if (decoded.sessionId) {
+      const rotation = await tokenManager.rotateSession(req, decoded.sessionId, decoded.jti, tokenUserData);
+      if (rotation.error === 'SESSION_ENDED') {
+        return res.status(401).json({
+          success: false,
+          error: 'Session ended',
+          message: 'This session has been logged out. Please login again.'
+        });
+      }
+      if (rotation.error === 'REFRESH_TOKEN_REUSED') {
+        console.warn(`⚠️ Refresh token reuse detected for session ${decoded.sessionId} - session revoked`);
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid refresh token',
+          code: 'REFRESH_TOKEN_REUSED',
+          message: 'This refresh token was already used. The session has been logged out for your security.'
+        });
+      }
+      newTokens = rotation.tokens;
+    } else {
+      // Token issued before sessions existed - check it against users.auth, then move it to a
+      // session. users.auth is cleared in the same transaction so the old token works only once.
+      const userRef = db.collection('users').doc(decoded.userId);
+      const migrated = await db.runTransaction(async (transaction) => {
+        const latestAuth = (await transaction.get(userRef)).data()?.auth;
+        if (!latestAuth || latestAuth.refreshToken !== refreshToken) return false;
+        transaction.update(userRef, { auth: { ...latestAuth, accessToken: null, refreshToken: null } });
+        return true;
+      });
+      if (!migrated) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid refresh token',
+          message: 'The refresh token does not match our records'
+        });
+      }
+      newTokens = await tokenManager.createSession(req, tokenUserData);
+    }
 
-    // Update tokens in database
-    await userDoc.ref.update({
-      auth: newTokens,
+    await db.collection('users').doc(decoded.userId).update({
       lastTokenRefresh: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp(),
       lastUpdated: new Date()
     });
@@ -2167,6 +3243,67 @@ app.post('/auth/refresh', async (req, res) => {
   }
 });
 
+// List the user's active sessions (one per logged-in device)
+app.get('/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const snapshot = await db.collection(USER_SESSIONS_COLLECTION)
+      .where('userId', '==', req.user.userId)
+      .get();
+
+    const now = new Date();
+    const sessions = [];
+    snapshot.forEach(doc => {
+      const session = doc.data();
+      if (session.revokedAt || new Date(session.refreshExpiresAt) <= now) return;
+      sessions.push({
+        id: session.id,
+        loginProvider: session.loginProvider || null,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastActiveAt: session.lastActiveAt,
+        expiresAt: session.refreshExpiresAt,
+        current: session.id === req.user.sessionId
+      });
+    });
+    sessions.sort((a, b) => String(b.lastActiveAt || '').localeCompare(String(a.lastActiveAt || '')));
+
+    res.json({ success: true, sessions });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Log out every other device, keeping the current session
+app.delete('/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await new TokenManager(db).revokeUserSessions(req.user.userId, 'revoked_by_user', {
+      exceptSessionId: req.user.sessionId
+    });
+    res.json({ success: true, message: `Logged out of ${revoked} other session(s)`, revoked });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Log out a single device
+app.delete('/auth/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const sessionDoc = await db.collection(USER_SESSIONS_COLLECTION).doc(req.params.sessionId).get();
+    if (!sessionDoc.exists || sessionDoc.data().userId !== req.user.userId || sessionDoc.data().revokedAt) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    await new TokenManager(db).revokeSession(req.params.sessionId, 'revoked_by_user');
+    res.json({ success: true, message: 'Session logged out', current: req.params.sessionId === req.user.sessionId });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
 // Get user profile - Now uses JWT authentication
 app.get('/auth/profile', authenticateToken, async (req, res) => {
   try {
@@ -2185,7 +3322,7 @@ app.get('/auth/profile', authenticateToken, async (req, res) => {
     const userData = userDoc.data();
     
     // Remove sensitive data from response
-    const { password, auth, ...userResponse } = userData;
+    const { password, auth, emailVerification, ...userResponse } = userData;
 
     res.json({
       success: true,
@@ -2203,6 +3340,297 @@ app.get('/auth/profile', authenticateToken, async (req, res) => {
   }
 });
 
+// --- Email Verification ---
+// email-signup accounts start unverified (emailVerified: false) and cannot send documents until
+// the address is confirmed with the emailed code or link. Accounts from other providers, and
+// accounts created before verification existed, have no flag and are treated as verified.
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const EMAIL_VERIFICATION_MAX_ATTEMPTS = 5;
+const EMAIL_VERIFICATION_RESEND_SECONDS = 60;
+const UNVERIFIED_ACCOUNT_TTL_DAYS = parseInt(process.env.UNVERIFIED_ACCOUNT_TTL_DAYS, 10) || 7;
+
+const emailVerificationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  keyGenerator: (req) => getClientIp(req),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, error: 'Too many verification requests, please try again later' }
+});
+
+function hashEmailVerificationSecret(email, secret) {
+  return crypto.createHash('sha256').update(`${email.toLowerCase()}:${secret}`).digest('hex');
+}
+
+/**
+ * Create a verification code and link token for an address. Only their hashes are stored.
+ * @returns {{ record: Object, code: string, token: string }}
+ */
+function createEmailVerification(email) {
+  const code = generateOTP();
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  return {
+    code,
+    token,
+    record: {
+      codeHash: hashEmailVerificationSecret(email, code),
+      tokenHash: hashEmailVerificationSecret(email, token),
+      attempts: 0,
+      sentAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000).toISOString()
+    }
+  };
+}
+
+async function sendEmailVerificationEmail({ email, name }, { code, token }) {
+  const verifyUrl = `${process.env.FRONTEND_URL_WEB}/verify-email?email=${encodeURIComponent(email)}&token=${token}`;
+  const emailHtml = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #4F46E5;">Verify your email</h2>
+      <p>Hello ${emailService.escapeHtml(name || 'User')},</p>
+      <p>Thanks for signing up for eSignTap. Confirm your email address to start sending documents:</p>
+      <p style="text-align: center;"><a href="${verifyUrl}" style="display: inline-block; padding: 12px 24px; background-color: #4F46E5; color: #ffffff; text-decoration: none; border-radius: 5px;">Verify email</a></p>
+      <p>Or enter this code:</p>
+      <h1 style="font-size: 32px; letter-spacing: 5px; text-align: center; padding: 20px; background-color: #f5f5f5; border-radius: 5px; color: #4F46E5;">${code}</h1>
+      <p>The link and code will expire in ${EMAIL_VERIFICATION_TTL_HOURS} hours.</p>
+      <p>If you didn't create this account, please ignore this email.</p>
+      <p>Best regards,<br>eSignTap Team</p>
+    </div>
+  `;
+
+  await emailService.sendEmail({
+    to: email,
+    subject: 'Verify your email - eSignTap',
+    text: `Verify your email address: ${verifyUrl}\n\nOr enter this code: ${code}. The link and code will expire in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`,
+    html: emailHtml
+  });
+}
+
+// Confirm an address with the emailed code or link token. Body: { email, code } or { email, token }
+app.post('/auth/verify-email', emailVerificationLimiter, async (req, res) => {
+  try {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+    const { code, token } = req.body;
+    if (!email || (!code && !token)) {
+      return res.status(400).json({ success: false, error: 'Email and a code or token are required' });
+    }
+
+    const userSnapshot = await db.collection('users').where('email', '==', email).get();
+    let userDoc = null;
+    userSnapshot.forEach(doc => {
+      userDoc = doc;
+    });
+    const userData = userDoc ? userDoc.data() : null;
+    const verification = userData?.emailVerification;
+
+    if (userData && userData.emailVerified !== false) {
+      return res.json({ success: true, message: 'Email already verified', alreadyVerified: true });
+    }
+    if (!verification || new Date(verification.expiresAt) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification expired',
+        code: 'VERIFICATION_EXPIRED',
+        message: 'This verification has expired. Please request a new one.'
+      });
+    }
+
+    // Count the attempt in a transaction before comparing, so parallel guesses cannot all
+    // read the same count and slip under the limit
+    const userRef = db.collection('users').doc(userData.userId || userDoc.id);
+    const currentVerification = await db.runTransaction(async (transaction) => {
+      const latest = (await transaction.get(userRef)).data()?.emailVerification;
+      if (!latest || (latest.attempts || 0) >= EMAIL_VERIFICATION_MAX_ATTEMPTS) return null;
+      transaction.update(userRef, { emailVerification: { ...latest, attempts: (latest.attempts || 0) + 1 } });
+      return latest;
+    });
+    if (!currentVerification) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many attempts',
+        message: 'Too many incorrect codes. Please request a new verification email.'
+      });
+    }
+
+    const expectedHash = Buffer.from(token ? currentVerification.tokenHash : currentVerification.codeHash, 'hex');
+    const providedHash = Buffer.from(hashEmailVerificationSecret(email, String(token || code)), 'hex');
+    if (!crypto.timingSafeEqual(expectedHash, providedHash)) {
+      return res.status(400).json({ success: false, error: token ? 'Invalid verification link' : 'Invalid verification code' });
+    }
+
+    await userRef.update({
+      emailVerified: true,
+      emailVerifiedAt: new Date().toISOString(),
+      emailVerification: null,
+      lastUpdated: new Date()
+    });
+
+    res.json({ success: true, message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Send a new verification code and link to the logged-in user
+app.post('/auth/verify-email/resend', authenticateToken, emailVerificationLimiter, async (req, res) => {
+  try {
+    const userRef = db.collection('users').doc(req.user.userId);
+    const userDoc = await userRef.get();
+    if (!userDoc.exists) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    const userData = userDoc.data();
+
+    if (userData.emailVerified !== false) {
+      return res.status(400).json({ success: false, error: 'Email already verified' });
+    }
+    const lastSentAt = userData.emailVerification?.sentAt;
+    if (lastSentAt && Date.now() - new Date(lastSentAt).getTime() < EMAIL_VERIFICATION_RESEND_SECONDS * 1000) {
+      return res.status(429).json({
+        success: false,
+        error: `Please wait ${EMAIL_VERIFICATION_RESEND_SECONDS} seconds before requesting another email`
+      });
+    }
+
+    const verification = createEmailVerification(userData.email);
+    await userRef.update({ emailVerification: verification.record });
+
+    try {
+      await sendEmailVerificationEmail(userData, verification);
+    } catch (emailError) {
+      console.error('Verification email error:', emailError);
+      return res.status(502).json({ success: false, error: 'Could not send the verification email. Please try again.' });
+    }
+
+    res.json({ success: true, message: 'Verification email sent', expiresAt: verification.record.expiresAt });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Delete email-signup accounts never verified within UNVERIFIED_ACCOUNT_TTL_DAYS, with their
+// documents, sessions, API keys and webhooks. Call from a scheduler, like /api/reminders/send.
+app.post('/api/users/unverified/cleanup', verifyCronSecret, async (req, res) => {
+  try {
+    const cutoff = new Date(Date.now() - UNVERIFIED_ACCOUNT_TTL_DAYS * 24 * 60 * 60 * 1000);
+    const userSnapshot = await db.collection('users').where('emailVerified', '==', false).get();
+
+    const expiredUsers = [];
+    userSnapshot.forEach(doc => {
+      const userData = doc.data();
+      const createdAt = userData.createdAt?.toDate ? userData.createdAt.toDate() : new Date(userData.createdAt);
+      const userId = userData.userId || doc.id;
+      if (userId && createdAt < cutoff) {
+        expiredUsers.push({ userId, email: userData.email });
+      }
+    });
+
+    let deletedDocuments = 0;
+    for (const { userId, email } of expiredUsers) {
+      const documentSnapshot = await db.collection('documents').where('userId', '==', userId).get();
+      const documents = [];
+      documentSnapshot.forEach(doc => {
+        documents.push({ id: doc.id, data: doc.data() });
+      });
+      for (const document of documents) {
+        await deleteDocumentAndFiles(document.id, document.data);
+        deletedDocuments++;
+      }
+
+      const templateSnapshot = await db.collection(TEMPLATES_COLLECTION).where('userId', '==', userId).get();
+      for (const doc of templateSnapshot.docs) {
+        await deleteTemplateAndFiles(doc.id, doc.data());
+      }
+
+      // PowerForms go with their pending email verifications, so none stays usable for a deleted owner
+      const powerFormSnapshot = await db.collection(POWERFORMS_COLLECTION).where('userId', '==', userId).get();
+      for (const doc of powerFormSnapshot.docs) {
+        const verificationSnapshot = await db.collection(POWERFORM_VERIFICATIONS_COLLECTION).where('powerFormId', '==', doc.id).get();
+        for (const verificationDoc of verificationSnapshot.docs) {
+          await db.collection(POWERFORM_VERIFICATIONS_COLLECTION).doc(verificationDoc.id).delete();
+        }
+        await db.collection(POWERFORMS_COLLECTION).doc(doc.id).delete();
+      }
+
+      const bulkJobSnapshot = await db.collection(BULK_JOBS_COLLECTION).where('userId', '==', userId).get();
+      for (const doc of bulkJobSnapshot.docs) {
+        await deleteBulkJob(doc.id);
+      }
+
+      for (const collection of [USER_SESSIONS_COLLECTION, API_KEYS_COLLECTION, WEBHOOKS_COLLECTION, WEBHOOK_DELIVERIES_COLLECTION]) {
+        const snapshot = await db.collection(collection).where('userId', '==', userId).get();
+        const ids = [];
+        snapshot.forEach(doc => {
+          ids.push(doc.id);
+        });
+        for (const id of ids) {
+          await db.collection(collection).doc(id).delete();
+        }
+      }
+
+      await db.collection('users').doc(userId).delete();
+      console.log(`🧹 Deleted unverified account ${email} (${documents.length} document(s))`);
+    }
+
+    res.json({ success: true, deletedUsers: expiredUsers.length, deletedDocuments });
+  } catch (error) {
+    console.error('Unverified account cleanup error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+// --- END Email Verification ---
+
+// --- Phone Auth ---
+// Verifies the Firebase ID token from phone sign-in. With Firebase configured this is firebase-admin;
+// in local development it is the Auth emulator when FIREBASE_AUTH_EMULATOR_HOST is set. Decoding
+// tokens without checking their signature, to test the flow offline, has to be switched on with
+// PHONE_AUTH_ALLOW_UNVERIFIED_TOKENS=true and is never available in production.
+const ALLOW_UNVERIFIED_PHONE_TOKENS = process.env.NODE_ENV !== 'production' && process.env.PHONE_AUTH_ALLOW_UNVERIFIED_TOKENS === 'true';
+let phoneTokenVerifier;
+function getPhoneTokenVerifier() {
+  if (phoneTokenVerifier) return phoneTokenVerifier;
+
+  if (!isLocalDevelopment) {
+    const auth = getAuth();
+    phoneTokenVerifier = { verifyIdToken: (idToken) => auth.verifyIdToken(idToken, true) };
+  } else if (process.env.FIREBASE_AUTH_EMULATOR_HOST) {
+    const emulatorApp = initializeApp({ projectId: process.env.FIREBASE_PROJECT_ID || 'demo-esigntap' }, 'phone-auth-emulator');
+    const auth = getAuth(emulatorApp);
+    console.log(`🔧 Phone auth: verifying ID tokens with the Auth emulator at ${process.env.FIREBASE_AUTH_EMULATOR_HOST}`);
+    phoneTokenVerifier = { verifyIdToken: (idToken) => auth.verifyIdToken(idToken) };
+  } else if (ALLOW_UNVERIFIED_PHONE_TOKENS) {
+    console.warn('⚠️  Phone auth: PHONE_AUTH_ALLOW_UNVERIFIED_TOKENS is set - ID tokens are decoded but NOT verified (local development only)');
+    phoneTokenVerifier = {
+      verifyIdToken: async (idToken) => {
+        const decoded = jwt.decode(idToken);
+        if (!decoded || typeof decoded !== 'object') {
+          throw new Error('Malformed ID token');
+        }
+        if (decoded.exp && decoded.exp * 1000 < Date.now()) {
+          throw new Error('ID token has expired');
+        }
+        return decoded;
+      }
+    };
+  } else {
+    phoneTokenVerifier = {
+      verifyIdToken: async () => {
+        throw new Error('Phone sign-in is not configured: set FIREBASE_AUTH_EMULATOR_HOST or PHONE_AUTH_ALLOW_UNVERIFIED_TOKENS=true');
+      }
+    };
+  }
+  return phoneTokenVerifier;
+}
+
+// Compare phone numbers in E.164 form, ignoring spaces, dashes and parentheses
+function normalizePhoneNumber(phone) {
+  return String(phone || '').replace(/[\s()-]/g, '');
+}
+// --- END Phone Auth ---
+
 // Universal authentication endpoint
 app.post('/auth/:provider', async (req, res) => {
   try {
@@ -2273,7 +3701,7 @@ app.post('/auth/:provider', async (req, res) => {
             const newUserRef = usersRef.doc();
             const userId = newUserRef.id;
 
-            const authTokens = await tokenManager.generateTokens({
+            const authTokens = await tokenManager.createSession(req, {
               userId,
               email: userInfo.email,
               name: userInfo.name,
@@ -2289,7 +3717,6 @@ app.post('/auth/:provider', async (req, res) => {
               lastUpdated: new Date(),
               loginProvider: 'google',
               googleLogin,
-              auth: authTokens,
               userId
             };
 
@@ -2314,7 +3741,7 @@ app.post('/auth/:provider', async (req, res) => {
             const userDoc = userSnapshot.docs[0];
             const userId = userDoc.id;
 
-            const authTokens = await tokenManager.generateTokens({
+            const authTokens = await tokenManager.createSession(req, {
               userId,
               email: userInfo.email,
               name: userInfo.name,
@@ -2322,12 +3749,13 @@ app.post('/auth/:provider', async (req, res) => {
               lastLoginAt: new Date().toISOString()
             });
 
+            // Google has just confirmed the address, so an unverified email signup is now verified
             await userDoc.ref.update({
               lastUpdated: new Date(),
               loginProvider: 'google',
               googleLogin,
-              auth: authTokens,
-              picture: userInfo.picture
+              picture: userInfo.picture,
+              ...(userInfo.verified_email !== false && { emailVerified: true, emailVerification: null })
             });
 
             const userData = userDoc.data();
@@ -2405,7 +3833,7 @@ app.post('/auth/:provider', async (req, res) => {
         const newUserRef = usersRef.doc();
         const userId = newUserRef.id;
 
-        const tokens = await tokenManager.generateTokens({
+        const tokens = await tokenManager.createSession(req, {
           userId,
           email,
           name,
@@ -2415,6 +3843,7 @@ app.post('/auth/:provider', async (req, res) => {
 
         // Hash password before storing
         const hashedPassword = await tokenManager.hashPassword(password);
+        const verification = createEmailVerification(email);
 
         const newUserData = {
           email,
@@ -2422,22 +3851,31 @@ app.post('/auth/:provider', async (req, res) => {
           password: hashedPassword, // Store hashed password
           userId,
           loginProvider: 'email',
+          emailVerified: false,
+          emailVerification: verification.record,
           createdAt: new Date(),
-          lastUpdated: new Date(),
-          auth: tokens
+          lastUpdated: new Date()
         };
 
         await newUserRef.set(newUserData);
 
+        // The account exists either way - a failed email can be retried with /auth/verify-email/resend
+        try {
+          await sendEmailVerificationEmail({ email, name }, verification);
+        } catch (emailError) {
+          console.error('Verification email error:', emailError);
+        }
+
         return res.status(200).json({
           success: true,
-          message: 'Account created successfully',
+          message: 'Account created successfully. Check your email to verify your address.',
           data: {
             id: userId,
             userId,
             email,
             name,
             loginProvider: 'email',
+            emailVerified: false,
             accessToken: tokens.accessToken,
             refreshToken: tokens.refreshToken
           }
@@ -2502,7 +3940,7 @@ app.post('/auth/:provider', async (req, res) => {
           });
         }
         
-        const tokens = await tokenManager.generateTokens({
+        const tokens = await tokenManager.createSession(req, {
           userId,
           email,
           name: userData.name,
@@ -2512,7 +3950,6 @@ app.post('/auth/:provider', async (req, res) => {
 
         await userDoc.ref.update({
           lastUpdated: new Date(),
-          auth: tokens,
           lastLogin: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp()
         });
 
@@ -2533,27 +3970,56 @@ app.post('/auth/:provider', async (req, res) => {
       }
 
       case 'phone': {
-        const { phone, idToken } = req.body;
+        const { phone: claimedPhone, idToken } = req.body;
         
-        if (!phone || !idToken) {
+        if (!claimedPhone || !idToken) {
           return res.status(400).json({
             success: false,
             error: 'Phone and idToken are required'
           });
         }
 
-        // In production, verify the Firebase ID token here
-        
-        const userSnapshot = await usersRef
+        // The phone number must be the one Firebase verified, not just what the client claims
+        let decodedToken;
+        try {
+          decodedToken = await getPhoneTokenVerifier().verifyIdToken(idToken);
+        } catch (verifyError) {
+          console.error('Phone ID token verification failed:', verifyError.message);
+          return res.status(401).json({
+            success: false,
+            error: 'Invalid ID token',
+            code: 'INVALID_ID_TOKEN',
+            message: 'The phone sign-in could not be verified. Please try again.'
+          });
+        }
+
+        if (!decodedToken.phone_number || normalizePhoneNumber(decodedToken.phone_number) !== normalizePhoneNumber(claimedPhone)) {
+          return res.status(401).json({
+            success: false,
+            error: 'Phone number mismatch',
+            code: 'PHONE_MISMATCH',
+            message: 'The ID token does not belong to this phone number'
+          });
+        }
+
+        // Accounts are keyed by the E.164 number Firebase verified, however the client formatted it
+        const phone = decodedToken.phone_number;
+        let userSnapshot = await usersRef
           .where('phone', '==', phone)
           .get();
+        if (userSnapshot.empty && claimedPhone !== phone) {
+          // Accounts created before numbers were canonical were stored as the client sent them
+          userSnapshot = await usersRef
+            .where('phone', '==', claimedPhone)
+            .get();
+        }
 
         if (userSnapshot.empty) {
           // Create new user
           const newUserRef = usersRef.doc();
           const userId = newUserRef.id;
 
-          const tokens = await tokenManager.generateTokens({
+          const tokens = await tokenManager.createSession(req, {
             userId,
             phone,
             loginProvider: 'phone',
@@ -2566,8 +4032,7 @@ app.post('/auth/:provider', async (req, res) => {
             userId,
             loginProvider: 'phone',
             createdAt: new Date(),
-            lastUpdated: new Date(),
-            auth: tokens
+            lastUpdated: new Date()
           };
 
           await newUserRef.set(newUserData);
@@ -2591,7 +4056,7 @@ app.post('/auth/:provider', async (req, res) => {
           const userId = userDoc.id;
           const userData = userDoc.data();
 
-          const tokens = await tokenManager.generateTokens({
+          const tokens = await tokenManager.createSession(req, {
             userId,
             phone,
             loginProvider: 'phone',
@@ -2599,8 +4064,8 @@ app.post('/auth/:provider', async (req, res) => {
           });
 
           await userDoc.ref.update({
+            phone,
             lastUpdated: new Date(),
-            auth: tokens,
             lastLogin: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp()
           });
 
@@ -2767,27 +4232,329 @@ app.listen(PORT, () => {
 
 module.exports = app; 
 
-// Function to generate secure signing token
-function generateSigningToken(documentId, signerEmail) {
-  // Generate 16-character alphanumeric token
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let token = '';
-  for (let i = 0; i < 16; i++) {
-    token += chars.charAt(Math.floor(Math.random() * chars.length));
+// Give every signer without one a signingTokenId. The id is embedded in each signing
+// token, so replacing it on the signer record revokes every link issued before.
+function assignSigningTokenIds(signers) {
+  return (signers || []).map(signer => (
+    signer.signingTokenId ? signer : { ...signer, signingTokenId: crypto.randomUUID() }
+  ));
+}
+
+// Function to generate secure signing token (JWT bound to document, signer and signingTokenId)
+function generateSigningToken(documentId, signer) {
+  return jwt.sign(
+    {
+      type: 'signing',
+      documentId,
+      signerEmail: signer.email,
+      tokenId: signer.signingTokenId
+    },
+    SIGNING_TOKEN_SECRET,
+    {
+      expiresIn: SIGNING_TOKEN_EXPIRES_IN,
+      issuer: 'sign4-app',
+      audience: 'sign4-signers'
+    }
+  );
+}
+
+// Build the frontend signing link for a signer
+function buildSigningUrl(documentId, signer) {
+  const signingToken = generateSigningToken(documentId, signer);
+  return `${process.env.FRONTEND_URL_WEB}/sign/${documentId}?signer=${encodeURIComponent(signer.email)}&token=${signingToken}`;
+}
+
+// Download link for a signer of a completed document, authorized by their signing token
+function buildSignerDownloadUrl(documentId, signer) {
+  const signingToken = generateSigningToken(documentId, signer);
+  return `${API_BASE_URL}/api/documents/${documentId}/download?signer=${encodeURIComponent(signer.email)}&token=${signingToken}`;
+}
+
+// Email each signer their signing link with the documentShare template.
+// Failures are logged per signer so one bad address does not block the others.
+async function sendSigningRequestEmails(documentId, documentData, signers, { senderName, senderEmail, message } = {}) {
+  let sent = 0;
+  for (const signer of signers) {
+    const emailData = {
+      signerEmail: signer.email,
+      signerName: signer.name || signer.email.split('@')[0],
+      documentTitle: documentData.title || documentData.originalName || 'Document',
+      senderName: senderName || documentData.senderName || documentData.createdBy?.name || 'Document Sender',
+      senderEmail: senderEmail || documentData.senderEmail || documentData.createdBy?.email || 'info@eSignTap.com',
+      message: message !== undefined ? message : (documentData.message || ''),
+      signingUrl: buildSigningUrl(documentId, signer)
+    };
+    try {
+      await emailService.sendDocumentShareEmail(emailData);
+      sent++;
+    } catch (emailError) {
+      console.error(`❌ Email failed for ${signer.email}:`, emailError);
+    }
+  }
+  return sent;
+}
+
+// --- Signing Order ---
+// Sequential workflows: signers act one at a time in `order`. The current step is the
+// first signer in that order who has not signed yet.
+// Custom workflows: signers are placed in numbered routing groups. Everyone in a group signs
+// in parallel and the groups run in ascending order. Viewers never hold a step or group.
+function isSequentialWorkflow(documentData) {
+  return documentData.workflowType === 'sequential';
+}
+
+function isRoutingGroupWorkflow(documentData) {
+  return documentData.workflowType === 'custom';
+}
+
+function isViewer(signer) {
+  return !!(signer.role && signer.role.toLowerCase() === 'viewer');
+}
+
+function getSequentialSteps(signers) {
+  return (signers || [])
+    .filter(signer => !isViewer(signer))
+    .sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+// Returns { signer, step } for the signer whose turn it is (step is 1-based), or null when everyone has signed
+function getCurrentStep(signers) {
+  const steps = getSequentialSteps(signers);
+  const index = steps.findIndex(signer => !signer.signed);
+  return index === -1 ? null : { signer: steps[index], step: index + 1 };
+}
+
+// Signers without a group belong to group 1
+function getRoutingGroup(signer) {
+  return Number(signer.routingGroup) || 1;
+}
+
+// Positive integer group number, or null when the value is not a valid group
+function parseRoutingGroup(value) {
+  if (value === undefined || value === null || value === '') return 1;
+  const group = Number(value);
+  return Number.isInteger(group) && group > 0 ? group : null;
+}
+
+// Returns { group, signers } for the lowest group with signers still to sign, or null when everyone has signed
+function getCurrentGroup(signers) {
+  const pending = (signers || []).filter(signer => !isViewer(signer) && !signer.signed);
+  if (pending.length === 0) return null;
+  const group = Math.min(...pending.map(getRoutingGroup));
+  return { group, signers: pending.filter(signer => getRoutingGroup(signer) === group) };
+}
+
+// Unsigned signers who may act right now under the document's workflow
+function getActiveSigners(documentData, signers) {
+  if (isSequentialWorkflow(documentData)) {
+    const current = getCurrentStep(signers);
+    return current ? [current.signer] : [];
+  }
+  if (isRoutingGroupWorkflow(documentData)) {
+    const current = getCurrentGroup(signers);
+    return current ? current.signers : [];
+  }
+  return (signers || []).filter(signer => !signer.signed);
+}
+
+// Rejection for signers acting out of turn, or null when they may proceed
+function checkSigningTurn(documentData, signerInfo) {
+  if (signerInfo.signed || isViewer(signerInfo)) return null;
+
+  if (isSequentialWorkflow(documentData)) {
+    const current = getCurrentStep(documentData.signers);
+    if (!current || current.signer.email === signerInfo.email) return null;
+    return {
+      status: 403,
+      body: {
+        error: 'It is not your turn to sign yet',
+        code: 'NOT_YOUR_TURN',
+        message: 'This document is signed in order. You will receive an email when it is your turn.',
+        currentStep: current.step
+      }
+    };
+  }
+
+  if (isRoutingGroupWorkflow(documentData)) {
+    const current = getCurrentGroup(documentData.signers);
+    if (!current || getRoutingGroup(signerInfo) <= current.group) return null;
+    return {
+      status: 403,
+      body: {
+        error: 'It is not your turn to sign yet',
+        code: 'NOT_YOUR_TURN',
+        message: 'An earlier signing group has not finished yet. You will receive an email when it is your turn.',
+        currentGroup: current.group,
+        yourGroup: getRoutingGroup(signerInfo)
+      }
+    };
+  }
+
+  return null;
+}
+// Send a configured document: issue signing links, mark it sent and email whoever the
+// workflow (parallel, sequential or custom routing groups) says signs first.
+// emailOptions are passed to sendSigningRequestEmails (e.g. a different message).
+async function startSigningWorkflow(documentId, documentData, req, emailOptions = {}) {
+  // Make sure every signer has a signingTokenId before links are issued
+  const signers = assignSigningTokenIds(documentData.signers);
+
+  // Determine which signers to notify based on workflow type
+  let signersToNotify = [];
+
+  switch (documentData.workflowType) {
+    case 'parallel':
+      // Send to all signers simultaneously
+      signersToNotify = signers;
+      break;
+
+    case 'sequential': {
+      // Send only to the signer holding the current step; the rest are emailed as it advances
+      const current = getCurrentStep(signers);
+      signersToNotify = current ? [current.signer] : [];
+      break;
+    }
+
+    case 'custom':
+      // Send to everyone in the first routing group that still has signers to sign
+      signersToNotify = getActiveSigners(documentData, signers);
+      break;
+
+    default:
+      signersToNotify = signers;
   }
-  return token;
+
+  await db.collection('documents').doc(documentId).update({
+    signers: signers,
+    status: 'sent',
+    sentAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp(),
+    currentStep: isSequentialWorkflow(documentData) ? (getCurrentStep(signers)?.step || 1) : 0,
+    currentGroup: isRoutingGroupWorkflow(documentData) ? (getCurrentGroup(signers)?.group || 1) : 0
+  });
+  await recordDocumentEvent(documentId, 'sent', req, {
+    actor: userActor(req),
+    details: {
+      workflowType: documentData.workflowType,
+      signers: signersToNotify.map(s => s.email)
+    }
+  });
+  await emitWebhookEvent(documentData.userId, 'document.sent', buildWebhookDocumentData(documentId, { ...documentData, status: 'sent' }, {
+    workflowType: documentData.workflowType || null,
+    signers: signers.map(s => ({ email: s.email, name: s.name || null }))
+  }));
+
+  console.log(`📧 Sending ${documentData.workflowType} workflow emails to ${signersToNotify.length} signer(s)`);
+  const emailsSent = await sendSigningRequestEmails(documentId, documentData, signersToNotify, emailOptions);
+  return { signers, signersToNotify, emailsSent };
 }
 
-// Function to verify signing token
-async function verifySigningToken(token, documentId, signerEmail) {
-  // SIMPLE FIXED TOKEN SYSTEM - Just check if token exists
+// --- END Signing Order ---
+
+// Function to verify signing token against the stored signer record
+async function verifySigningToken(token, documentId, signerEmail, documentData) {
   if (!token) {
     return { valid: false, error: 'No token provided' };
   }
-  
-  // Accept any token for now - super simple
-  console.log('✅ SIMPLE TOKEN CHECK PASSED - Token:', token);
-  return { valid: true, payload: { documentId, signerEmail } };
+
+  let payload;
+  try {
+    payload = jwt.verify(token, SIGNING_TOKEN_SECRET, {
+      issuer: 'sign4-app',
+      audience: 'sign4-signers'
+    });
+  } catch (error) {
+    return { valid: false, error: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token' };
+  }
+
+  if (payload.type !== 'signing' || payload.documentId !== documentId || payload.signerEmail !== signerEmail) {
+    return { valid: false, error: 'Token does not match this document and signer' };
+  }
+
+  const signerInfo = documentData?.signers?.find(s => s.email === signerEmail);
+  if (!signerInfo) {
+    return { valid: false, error: 'Signer not found on document' };
+  }
+
+  if (!signerInfo.signingTokenId || signerInfo.signingTokenId !== payload.tokenId) {
+    return { valid: false, revoked: true, error: 'Token revoked' };
+  }
+
+  return { valid: true, payload, signerInfo };
+}
+
+// Shared checks for the public signing routes: signer is on the document, the signing
+// token is valid for them and, when the sender set one, the access code matches.
+// Resolves to { signerInfo } or { rejection: { status, body } }.
+async function authorizeSigner(documentId, documentData, signerEmail, token, accessCode) {
+  const signerInfo = documentData.signers?.find(s => s.email === signerEmail);
+  if (!signerInfo) {
+    console.log('❌ Signer not on document:', signerEmail);
+    return { rejection: { status: 403, body: { error: 'Unauthorized signer' } } };
+  }
+
+  const tokenValidation = await verifySigningToken(token, documentId, signerEmail, documentData);
+  if (!tokenValidation.valid) {
+    console.log('❌ Invalid token:', tokenValidation.error);
+    return {
+      rejection: {
+        status: 403,
+        body: {
+          error: 'Invalid or expired access token',
+          details: 'The signing link has expired or is invalid. Please request a new one.'
+        }
+      }
+    };
+  }
+
+  // --- Access Code Check ---
+  if (signerInfo.accessCode) {
+    const providedCode = accessCode || '';
+    if (!providedCode) {
+      return { rejection: { status: 401, body: { error: 'Access code required', accessCodeRequired: true } } };
+    }
+    if (providedCode !== signerInfo.accessCode) {
+      return { rejection: { status: 403, body: { error: 'Invalid access code', accessCodeRequired: true } } };
+    }
+  }
+
+  return { signerInfo };
+}
+
+// Voided documents answer every signing route the same way. Checked before the signing token,
+// since voiding revokes all signing links.
+function getVoidedRejection(documentData) {
+  if (documentData.status !== 'voided') return null;
+  return {
+    status: 410,
+    body: {
+      error: 'Document voided',
+      code: 'DOCUMENT_VOIDED',
+      message: 'This document has been voided by the sender and can no longer be signed.',
+      voidedAt: documentData.voidedAt || null
+    }
+  };
+}
+
+// Values entered by other signers (or pre-filled by the sender) that this signer's showWhen/requireWhen conditions depend on,
+// so the signing page can evaluate them without exposing unrelated answers
+function getConditionValues(documentData, signerInfo) {
+  const referenced = new Set();
+  fieldService.getSignerFields(documentData, signerInfo).forEach(field => {
+    [...fieldService.getConditions(field.showWhen), ...fieldService.getConditions(field.requireWhen)]
+      .forEach(condition => referenced.add(condition.field));
+  });
+  if (referenced.size === 0) return {};
+
+  const fieldsById = fieldService.getFieldsById(documentData);
+  const otherSigners = (documentData.signers || []).filter(s => s.email !== signerInfo.email);
+  const values = { ...fieldService.getDocumentValues(documentData, otherSigners), ...(documentData.calculatedValues || {}) };
+  const conditionValues = {};
+  referenced.forEach(key => {
+    const source = fieldsById[key];
+    const value = source ? fieldService.getFieldValue(source, values) : values[key];
+    if (value !== undefined) conditionValues[key] = value;
+  });
+  return conditionValues;
 }
 
 // Serve document files for signing (public endpoint with token validation)
@@ -2810,26 +4577,6 @@ app.get('/api/sign/:documentId/file/:fileId', async (req, res) => {
       });
     }
 
-    // Verify the signing token
-    const tokenValidation = await verifySigningToken(token, documentId, signer);
-    if (!tokenValidation.valid) {
-      console.log('❌ Invalid token:', tokenValidation.error);
-      return res.status(403).json({ 
-        error: 'Invalid or expired access token',
-        details: 'The signing link has expired or is invalid. Please request a new one.'
-      });
-    }
-
-    // Check if token matches the document and signer
-    const tokenPayload = tokenValidation.payload;
-    if (tokenPayload.documentId !== documentId || tokenPayload.signerEmail !== signer) {
-      console.log('❌ Token mismatch');
-      return res.status(403).json({ 
-        error: 'Access token mismatch',
-        details: 'The access token is not valid for this document and signer.'
-      });
-    }
-
     const docRef = db.collection('documents').doc(documentId);
     const doc = await docRef.get();
 
@@ -2839,10 +4586,43 @@ app.get('/api/sign/:documentId/file/:fileId', async (req, res) => {
 
     const documentData = doc.data();
 
-    // Verify signer is authorized
-    const authorizedSigner = documentData.signers?.find(s => s.email === signer);
-    if (!authorizedSigner) {
-      return res.status(403).json({ error: 'Unauthorized signer' });
+    const voidedRejection = getVoidedRejection(documentData);
+    if (voidedRejection) {
+      return res.status(voidedRejection.status).json(voidedRejection.body);
+    }
+
+    // Verify signing token and access code
+    const access = await authorizeSigner(documentId, documentData, signer, token, req.query.accessCode);
+    if (access.rejection) {
+      return res.status(access.rejection.status).json(access.rejection.body);
+    }
+    const signerInfo = access.signerInfo;
+
+    if (documentData.status === 'cancelled') {
+      return res.status(410).json({
+        error: 'Document cancelled',
+        message: 'This document has been cancelled by the sender.'
+      });
+    }
+    if (documentData.status === 'declined') {
+      return res.status(410).json({
+        error: 'Document declined',
+        message: 'This document was declined by a signer and can no longer be signed.'
+      });
+    }
+
+    const turnRejection = checkSigningTurn(documentData, signerInfo);
+    if (turnRejection) {
+      return res.status(turnRejection.status).json(turnRejection.body);
+    }
+
+    const { expired } = getExpirationInfo(documentData);
+    if (expired) {
+      await markDocumentExpired(documentId, documentData, req);
+      return res.status(410).json({
+        error: 'Document expired',
+        message: 'This document has expired. Please contact the sender to re-share.'
+      });
     }
 
     // Find the specific file in the document's files array
@@ -2866,12 +4646,16 @@ app.get('/api/sign/:documentId/file/:fileId', async (req, res) => {
     res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
     res.setHeader('Content-Type', fileInfo.mimeType || 'application/octet-stream');
-    res.setHeader('Content-Disposition', `inline; filename="${fileInfo.originalName}"`);
+    res.setHeader('Content-Disposition', contentDisposition('inline', fileInfo.originalName));
 
     // Always serve file content directly to avoid CORS issues
     try {
       const [fileBuffer] = await bucket.file(fileInfo.fileName).download();
       console.log('✅ File served successfully:', fileInfo.originalName);
+      await recordDocumentEvent(documentId, 'file_viewed', req, {
+        actor: signerActor(signerInfo),
+        details: { fileId, fileName: fileInfo.originalName }
+      });
       res.send(fileBuffer);
     } catch (error) {
       console.error('Error serving file:', error);
@@ -2883,9 +4667,13 @@ app.get('/api/sign/:documentId/file/:fileId', async (req, res) => {
   }
 });
 
-// Test signing endpoint without token validation (temporary)
+// Test signing endpoint without token validation (local development only)
 app.get('/api/test-sign/:documentId', async (req, res) => {
   try {
+    if (!isLocalMode) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
     const { documentId } = req.params;
     const { signer } = req.query;
 
@@ -2940,19 +4728,13 @@ app.get('/api/test-sign/:documentId', async (req, res) => {
   }
 });
 
-// Get document status (public endpoint for checking completion)
-app.get('/api/documents/:documentId/status', async (req, res) => {
+// Get document status for checking completion
+app.get('/api/documents/:documentId/status', requireScope('documents:read'), verifyDocumentOwnership, async (req, res) => {
   try {
     const { documentId } = req.params;
 
     const docRef = db.collection('documents').doc(documentId);
-    const doc = await docRef.get();
-
-    if (!doc.exists) {
-      return res.status(404).json({ error: 'Document not found' });
-    }
-
-    const documentData = doc.data();
+    const documentData = req.document; // From verifyDocumentOwnership middleware
     const signers = documentData.signers || [];
     const allSigned = signers.length > 0 && signers.every(s => s.signed);
     const downloadUrl = documentData.status === 'completed'
@@ -3001,23 +4783,46 @@ app.get('/api/documents/:documentId/status', async (req, res) => {
   }
 });
 
-// Download completed document (public endpoint)
-app.get('/api/documents/:documentId/download', async (req, res) => {
+// Owners download with their access token or a documents:read API key; signers use the
+// signing link they signed with (?signer=&token=), as in buildSignerDownloadUrl
+const authorizeDocumentDownload = async (req, res, next) => {
+  if (!req.query.signer && !req.query.token) {
+    return requireScope('documents:read')(req, res, () => verifyDocumentOwnership(req, res, next));
+  }
   try {
     const { documentId } = req.params;
-    const docRef = db.collection('documents').doc(documentId);
-    const doc = await docRef.get();
+    const doc = await db.collection('documents').doc(documentId).get();
     if (!doc.exists) {
       return res.status(404).json({ error: 'Document not found' });
     }
     const documentData = doc.data();
+    const tokenValidation = await verifySigningToken(req.query.token, documentId, req.query.signer, documentData);
+    if (!tokenValidation.valid || !tokenValidation.signerInfo.signed) {
+      return res.status(403).json({ error: 'Invalid or expired download link' });
+    }
+    req.document = documentData;
+    req.signer = tokenValidation.signerInfo;
+    next();
+  } catch (error) {
+    console.error('Authorize document download error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Download completed document
+app.get('/api/documents/:documentId/download', authorizeDocumentDownload, async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const documentData = req.document;
     if (documentData.status !== 'completed') {
       return res.status(400).json({ error: 'Document is not yet completed' });
     }
-    const signersData = documentData.signers.filter(signer => signer.signed);
-    const completedDoc = await pdfService.generateCompletedDocument(documentData, signersData, bucket);
+    const completedDoc = await getCompletedPDF(documentId, documentData);
+    await recordDocumentEvent(documentId, 'downloaded', req, {
+      actor: req.signer ? signerActor(req.signer) : userActor(req)
+    });
     res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${completedDoc.filename}"`);
+    res.setHeader('Content-Disposition', contentDisposition('attachment', completedDoc.filename));
     res.setHeader('Content-Length', completedDoc.buffer.length);
     res.send(completedDoc.buffer);
   } catch (error) {
@@ -3026,9 +4831,9 @@ app.get('/api/documents/:documentId/download', async (req, res) => {
   }
 });
 
-// Generate OTP function
+// Generate OTP function - 6 digits from a cryptographically secure source
 const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(100000, 1000000).toString();
 };
 
 // Forgot Password endpoint
@@ -3178,6 +4983,9 @@ app.post('/auth/reset-password', async (req, res) => {
       lastUpdated: new Date()
     });
 
+    // A new password logs out every device
+    await tokenManager.revokeUserSessions(userDoc.id, 'password_reset');
+
     return res.status(200).json({
       success: true,
       message: 'Password reset successful'
@@ -3383,6 +5191,17 @@ function getExpirationInfo(documentData) {
   return { expired, expiresAt, expirationEnabled, expirationDays };
 }
 
+// Persist the expired status; documents still out for signature also get an audit event and webhook
+async function markDocumentExpired(documentId, documentData, req) {
+  if (documentData.status === 'expired') return;
+  const expiredAt = new Date().toISOString();
+  await db.collection('documents').doc(documentId).update({ status: 'expired', expiredAt });
+  if (!['sent', 'partially_signed'].includes(documentData.status)) return;
+  await recordDocumentEvent(documentId, 'expired', req, { actor: { type: 'system' } });
+  await emitWebhookEvent(documentData.userId, 'document.expired',
+    buildWebhookDocumentData(documentId, { ...documentData, status: 'expired' }, { expiredAt }));
+}
+
 function getReminderInfo(documentData) {
   const config = documentData.configuration || {};
   const sendReminders = typeof config.sendReminders === 'boolean' ? config.sendReminders : true;
@@ -3390,53 +5209,2265 @@ function getReminderInfo(documentData) {
   return { sendReminders, reminderFrequency };
 }
 
-// --- REMINDER BATCH ENDPOINT ---
-app.post('/api/reminders/send', async (req, res) => {
+// --- Document Audit Trail ---
+// Firestore collection: document_events (append-only - events are never updated or deleted)
+// Fields: documentId, type, actor { type: 'user'|'signer'|'system'|'anonymous', userId, email, name },
+//         ipAddress, userAgent, details, timestamp (ISO string)
+const DOCUMENT_EVENTS_COLLECTION = 'document_events';
+
+// Resolved by Express from X-Forwarded-For according to the 'trust proxy' setting
+function getClientIp(req) {
+  return req.ip;
+}
+
+// Build the actor for an authenticated document owner
+function userActor(req) {
+  return {
+    type: 'user',
+    userId: req.user?.userId || null,
+    email: req.user?.email || null,
+    name: req.user?.name || null,
+    ...(req.apiKey ? { apiKeyId: req.apiKey.id } : {})
+  };
+}
+
+// Build the actor for a signer acting through their signing link
+function signerActor(signer) {
+  return {
+    type: 'signer',
+    email: signer.email,
+    name: signer.name || null
+  };
+}
+
+// Append an event to a document's audit trail.
+// Never throws - a failed audit write is logged but must not fail the request itself.
+async function recordDocumentEvent(documentId, type, req, { actor, details = {} } = {}) {
   try {
-    const now = new Date();
-    // Support forceAll param (from query string)
-    const forceAll = req.query.forceAll === 'true' || req.body.forceAll === true;
-    const docsSnapshot = await db.collection('documents').where('status', '==', 'sent').get();
-    let remindersSent = 0;
-    for (const doc of docsSnapshot.docs) {
-      const documentData = doc.data();
-      const documentId = doc.id;
-      const { expired } = getExpirationInfo(documentData);
-      if (expired) continue;
-      const { sendReminders, reminderFrequency } = getReminderInfo(documentData);
-      if (!sendReminders) continue;
-      const signers = documentData.signers || [];
-      for (const signer of signers) {
-        if (signer.signed) continue;
-        let shouldSend = false;
-        if (forceAll) {
-          shouldSend = true;
-        } else {
-          // Check lastReminderSent (store per signer, fallback to sentAt)
-          let lastReminder = signer.lastReminderSent ? new Date(signer.lastReminderSent) : (documentData.sentAt ? new Date(documentData.sentAt) : null);
-          if (!lastReminder) lastReminder = now;
-          const daysSince = Math.floor((now - lastReminder) / (1000 * 60 * 60 * 24));
-          if (daysSince >= reminderFrequency) {
-            shouldSend = true;
-          }
-        }
-        if (shouldSend) {
-          // Send reminder email
-          const signingToken = generateSigningToken(documentId, signer.email);
-          const signingUrl = `${process.env.FRONTEND_URL_WEB}/sign/${documentId}?signer=${encodeURIComponent(signer.email)}&token=${signingToken}`;
-          const emailData = {
-            signerEmail: signer.email,
-            signerName: signer.name || signer.email.split('@')[0],
-            documentTitle: documentData.title || documentData.originalName || 'Document',
-            senderName: documentData.createdBy?.name || 'Document Sender',
-            senderEmail: documentData.createdBy?.email || 'info@eSignTap.com',
-            message: documentData.message || '',
-            signingUrl: signingUrl,
-            isReminder: true // Ensure this is set for reminders
-          };
-          try {
-            await emailService.sendDocumentShareEmail(emailData);
-            remindersSent++;
+    await db.collection(DOCUMENT_EVENTS_COLLECTION).add({
+      documentId,
+      type,
+      actor: actor || { type: 'system' },
+      ipAddress: req ? getClientIp(req) || null : null,
+      userAgent: req ? req.headers['user-agent'] || null : null,
+      details,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Failed to record ${type} event for document ${documentId}:`, error);
+  }
+}
+
+// Fetch a document's audit trail, oldest first (sorted in memory to avoid composite indexes)
+async function getDocumentEvents(documentId) {
+  const snapshot = await db.collection(DOCUMENT_EVENTS_COLLECTION)
+    .where('documentId', '==', documentId)
+    .get();
+  const events = [];
+  snapshot.forEach(doc => {
+    events.push({ id: doc.id, ...doc.data() });
+  });
+  events.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  return events;
+}
+
+// Get audit trail for a document (owner only)
+app.get('/api/documents/:documentId/audit', requireScope('documents:read'), verifyDocumentOwnership, async (req, res) => {
+  try {
+    const events = await getDocumentEvents(req.params.documentId);
+    res.json({ success: true, documentId: req.params.documentId, events });
+  } catch (error) {
+    console.error('Get audit trail error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+// --- END Document Audit Trail ---
+
+// Generate the signed PDF with its certificate of completion (timeline from the audit trail)
+async function generateCompletedPDF(documentId, documentData, signers) {
+  const events = await getDocumentEvents(documentId);
+  const completedPDF = await pdfService.generateCompletedDocument({ id: documentId, ...documentData }, signers, bucket, { events });
+  await recordCompletedPDFHash(documentId, documentData, signers, completedPDF);
+  return completedPDF;
+}
+
+// The final PDF is generated once, when the document completes, and kept in storage so every
+// download returns the same file - and the same hash - that was registered for verification
+async function storeCompletedPDF(documentId, documentData, signers) {
+  const completedPDF = await generateCompletedPDF(documentId, documentData, signers);
+  const fileName = `documents/${documentId}/completed/${completedPDF.sha256}.pdf`;
+  await bucket.file(fileName).save(completedPDF.buffer, { contentType: 'application/pdf' });
+  await db.collection('documents').doc(documentId).update({
+    completedFile: {
+      fileName,
+      filename: completedPDF.filename,
+      sha256: completedPDF.sha256,
+      digitallySigned: !!completedPDF.digitallySigned,
+      size: completedPDF.buffer.length,
+      generatedAt: new Date().toISOString()
+    }
+  });
+  return completedPDF;
+}
+
+// Stored final PDF of a completed document. Documents completed before PDFs were stored get
+// theirs generated and stored on first request.
+async function getCompletedPDF(documentId, documentData) {
+  const { completedFile } = documentData;
+  if (completedFile) {
+    const [buffer] = await bucket.file(completedFile.fileName).download();
+    return { buffer, filename: completedFile.filename, sha256: completedFile.sha256, digitallySigned: completedFile.digitallySigned };
+  }
+  return storeCompletedPDF(documentId, documentData, documentData.signers.filter(signer => signer.signed));
+}
+
+// --- Document Verification ---
+// Every final PDF we issue is registered by its SHA-256 so anyone holding a copy can check it is genuine
+const DOCUMENT_HASHES_COLLECTION = 'document_hashes';
+
+const verifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  keyGenerator: (req) => getClientIp(req),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many verification requests, please try again later' }
+});
+
+function toISOStringOrNull(value) {
+  if (!value) return null;
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Keyed by hash; the signer snapshot is stored so later edits to the document do not change what was issued
+async function recordCompletedPDFHash(documentId, documentData, signers, completedPDF) {
+  try {
+    const signedSigners = signers.filter(signer => signer.signed);
+    const signedTimes = signedSigners.map(signer => toISOStringOrNull(signer.signedAt)).filter(Boolean).sort();
+    await db.collection(DOCUMENT_HASHES_COLLECTION).doc(completedPDF.sha256).set({
+      hash: completedPDF.sha256,
+      algorithm: 'sha256',
+      documentId,
+      title: documentData.title || documentData.originalName || 'Document',
+      filename: completedPDF.filename,
+      digitallySigned: !!completedPDF.digitallySigned,
+      signers: signedSigners.map(signer => ({
+        name: signer.name || signer.email.split('@')[0],
+        email: signer.email,
+        signedAt: toISOStringOrNull(signer.signedAt)
+      })),
+      completedAt: toISOStringOrNull(documentData.completedAt) || signedTimes[signedTimes.length - 1] || null,
+      generatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Record completed PDF hash error:', error);
+  }
+}
+
+// Public: verify an uploaded PDF (multipart 'document') or a { documentId, hash } pair
+app.post('/api/verify', verifyLimiter, upload.single('document'), async (req, res) => {
+  try {
+    let hash;
+    let digitalSignature = null;
+
+    if (req.file) {
+      hash = crypto.createHash('sha256').update(req.file.buffer).digest('hex');
+      digitalSignature = pdfSigner.verify(req.file.buffer);
+    } else if (req.body.hash) {
+      hash = String(req.body.hash).trim().toLowerCase();
+      if (!/^[a-f0-9]{64}$/.test(hash)) {
+        return res.status(400).json({ error: 'hash must be a SHA-256 hex digest' });
+      }
+    } else {
+      return res.status(400).json({ error: 'Upload a PDF as "document" or provide documentId and hash' });
+    }
+
+    const hashDoc = await db.collection(DOCUMENT_HASHES_COLLECTION).doc(hash).get();
+    const record = hashDoc.exists ? hashDoc.data() : null;
+    const matches = !!record && (!req.body.documentId || record.documentId === req.body.documentId);
+
+    if (!matches) {
+      return res.json({
+        success: true,
+        verified: false,
+        hash,
+        message: 'This file does not match any completed document issued by eSignTap',
+        digitalSignature
+      });
+    }
+
+    res.json({
+      success: true,
+      verified: true,
+      hash,
+      document: {
+        id: record.documentId,
+        title: record.title,
+        completedAt: record.completedAt,
+        issuedAt: record.generatedAt,
+        signers: record.signers
+      },
+      digitalSignature
+    });
+  } catch (error) {
+    console.error('Verify document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+// --- END Document Verification ---
+
+// --- Templates ---
+// Reusable documents: files, field layouts and named roles ("Client", "Witness"). Template
+// fields are assigned with `assignedRole` (a role name) instead of `assignedSigner`; sending
+// a template maps a real person to each role and creates a normal document from it.
+const TEMPLATES_COLLECTION = 'templates';
+const TEMPLATE_WORKFLOW_TYPES = ['parallel', 'sequential', 'custom'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const verifyTemplateOwnership = async (req, res, next) => {
+  try {
+    const templateDoc = await db.collection(TEMPLATES_COLLECTION).doc(req.params.templateId).get();
+
+    if (!templateDoc.exists) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    const templateData = templateDoc.data();
+    if (templateData.userId !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'You do not have permission to access this template'
+      });
+    }
+
+    req.template = templateData;
+    next();
+  } catch (error) {
+    console.error('Template ownership verification error:', error);
+    return res.status(500).json({ success: false, error: 'Authorization error' });
+  }
+};
+
+// Parse a JSON form field from a multipart request, keeping JSON bodies as they are
+function parseFormJson(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Validate template roles for a workflow type
+ * @returns {{ roles?: Array, error?: string }}
+ */
+function normalizeTemplateRoles(roles, workflowType) {
+  if (!Array.isArray(roles) || roles.length === 0) {
+    return { error: 'At least one role is required' };
+  }
+
+  const seen = new Set();
+  const normalized = [];
+  for (const role of roles) {
+    const name = typeof role?.name === 'string' ? role.name.trim() : '';
+    if (!name) {
+      return { error: 'Every role needs a name' };
+    }
+    if (seen.has(name.toLowerCase())) {
+      return { error: `Duplicate role: ${name}` };
+    }
+    seen.add(name.toLowerCase());
+
+    const signerRole = role.signerRole || 'sign';
+    if (!['sign', 'review'].includes(signerRole)) {
+      return { error: `Role ${name}: signerRole must be either "sign" or "review"` };
+    }
+    const routingGroup = workflowType === 'custom' ? parseRoutingGroup(role.routingGroup) : null;
+    if (routingGroup === null && workflowType === 'custom') {
+      return { error: `Invalid routing group for role ${name}: must be a positive integer` };
+    }
+    normalized.push({ name, signerRole, routingGroup });
+  }
+  return { roles: normalized };
+}
+
+/**
+ * Check the fields of every template file: definitions and role assignments
+ * @returns {Object|null} 400 response body, or null when valid
+ */
+function validateTemplateFields(files, roles) {
+  const allFields = fieldService.getAllFields({ files });
+  const definitionCheck = fieldService.validateFieldDefinitions(allFields);
+  if (!definitionCheck.valid) {
+    return { error: 'Invalid field definitions', fieldErrors: definitionCheck.fieldErrors };
+  }
+
+  const roleNames = new Set(roles.map(role => role.name));
+  const fieldErrors = {};
+  allFields.forEach(field => {
+    if (field.assignedRole && !roleNames.has(field.assignedRole)) {
+      fieldErrors[field.id] = `Assigned to unknown role: ${field.assignedRole}`;
+    }
+  });
+  return Object.keys(fieldErrors).length > 0 ? { error: 'Invalid field definitions', fieldErrors } : null;
+}
+
+// Template as returned to clients (no storage paths)
+function toTemplateResponse(templateData) {
+  return {
+    ...templateData,
+    files: (templateData.files || []).map(({ fileName, ...file }) => file)
+  };
+}
+
+// Create a template from uploaded files
+app.post('/api/templates', requireScope('templates:manage'), upload.any(), async (req, res) => {
+  try {
+    const files = req.files || [];
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const workflowType = req.body.workflowType || 'parallel';
+
+    if (!name) {
+      return res.status(400).json({ error: 'Template name is required' });
+    }
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+    if (!TEMPLATE_WORKFLOW_TYPES.includes(workflowType)) {
+      return res.status(400).json({ error: 'Invalid workflow type' });
+    }
+
+    const { roles, error: rolesError } = normalizeTemplateRoles(parseFormJson(req.body.roles, []), workflowType);
+    if (rolesError) {
+      return res.status(400).json({ error: rolesError });
+    }
+    const configuration = parseFormJson(req.body.configuration, {});
+    if (!configuration || typeof configuration !== 'object') {
+      return res.status(400).json({ error: 'Invalid configuration' });
+    }
+
+    const templateId = crypto.randomUUID();
+    const templateFiles = [];
+    for (let i = 0; i < files.length; i++) {
+      const fields = parseFormJson(req.body[`fields_${i}`], []);
+      if (!Array.isArray(fields)) {
+        return res.status(400).json({ error: `Invalid fields for file ${i}` });
+      }
+      const file = files[i];
+      const fileId = crypto.randomUUID();
+      templateFiles.push({
+        fileId,
+        originalName: file.originalname,
+        title: req.body[`title_${i}`] || file.originalname,
+        fileName: `templates/${templateId}/${fileId}_${file.originalname}`,
+        mimeType: file.mimetype,
+        size: file.size,
+        sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+        fields,
+        order: i,
+        buffer: file.buffer
+      });
+    }
+
+    const fieldsRejection = validateTemplateFields(templateFiles, roles);
+    if (fieldsRejection) {
+      return res.status(400).json(fieldsRejection);
+    }
+
+    for (const { buffer, ...file } of templateFiles) {
+      await bucket.file(file.fileName).save(buffer, { contentType: file.mimeType });
+    }
+
+    const templateData = {
+      id: templateId,
+      userId: req.user.userId,
+      name,
+      description: req.body.description || '',
+      files: templateFiles.map(({ buffer, ...file }) => file),
+      roles,
+      workflowType,
+      subject: req.body.subject || '',
+      message: req.body.message || '',
+      configuration,
+      createdAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp(),
+      updatedAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp(),
+      createdBy: {
+        userId: req.user.userId,
+        email: req.user.email,
+        name: req.user.name
+      }
+    };
+    await db.collection(TEMPLATES_COLLECTION).doc(templateId).set(templateData);
+
+    res.status(201).json({ success: true, template: toTemplateResponse(templateData) });
+  } catch (error) {
+    console.error('Create template error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List the user's templates
+app.get('/api/templates', requireScope('templates:manage'), async (req, res) => {
+  try {
+    const snapshot = await db.collection(TEMPLATES_COLLECTION)
+      .where('userId', '==', req.user.userId)
+      .get();
+
+    const templates = [];
+    snapshot.forEach(doc => {
+      templates.push(toTemplateResponse(doc.data()));
+    });
+    templates.sort((a, b) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')));
+
+    res.json({ success: true, templates });
+  } catch (error) {
+    console.error('List templates error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/templates/:templateId', requireScope('templates:manage'), verifyTemplateOwnership, async (req, res) => {
+  res.json({ success: true, template: toTemplateResponse(req.template) });
+});
+
+// Serve a template file, e.g. for the field editor
+app.get('/api/templates/:templateId/file/:fileId', requireScope('templates:manage'), verifyTemplateOwnership, async (req, res) => {
+  try {
+    const fileInfo = (req.template.files || []).find(f => f.fileId === req.params.fileId);
+    if (!fileInfo) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const [fileBuffer] = await bucket.file(fileInfo.fileName).download();
+    res.setHeader('Content-Type', fileInfo.mimeType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', contentDisposition('inline', fileInfo.originalName));
+    res.send(fileBuffer);
+  } catch (error) {
+    console.error('Template file serving error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a template's details, roles and field layouts (files stay as uploaded)
+app.put('/api/templates/:templateId', requireScope('templates:manage'), verifyTemplateOwnership, async (req, res) => {
+  try {
+    const templateData = req.template;
+    const { name, description, subject, message, configuration, fileFields } = req.body;
+    const workflowType = req.body.workflowType || templateData.workflowType;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'Template name is required' });
+    }
+    if (!TEMPLATE_WORKFLOW_TYPES.includes(workflowType)) {
+      return res.status(400).json({ error: 'Invalid workflow type' });
+    }
+    if (configuration !== undefined && (!configuration || typeof configuration !== 'object')) {
+      return res.status(400).json({ error: 'Invalid configuration' });
+    }
+
+    const { roles, error: rolesError } = normalizeTemplateRoles(req.body.roles || templateData.roles, workflowType);
+    if (rolesError) {
+      return res.status(400).json({ error: rolesError });
+    }
+
+    const files = Array.isArray(fileFields)
+      ? templateData.files.map(file => {
+        const fileFieldData = fileFields.find(ff => ff.fileId === file.fileId);
+        return fileFieldData ? { ...file, fields: fileFieldData.fields || [] } : file;
+      })
+      : templateData.files;
+
+    const fieldsRejection = validateTemplateFields(files, roles);
+    if (fieldsRejection) {
+      return res.status(400).json(fieldsRejection);
+    }
+
+    const updateData = {
+      files,
+      roles,
+      workflowType,
+      updatedAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp()
+    };
+    if (name !== undefined) updateData.name = name.trim();
+    if (description !== undefined) updateData.description = description;
+    if (subject !== undefined) updateData.subject = subject;
+    if (message !== undefined) updateData.message = message;
+    if (configuration !== undefined) updateData.configuration = configuration;
+
+    await db.collection(TEMPLATES_COLLECTION).doc(req.params.templateId).update(updateData);
+
+    res.json({ success: true, template: toTemplateResponse({ ...templateData, ...updateData }) });
+  } catch (error) {
+    console.error('Update template error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a template with its stored files
+async function deleteTemplateAndFiles(templateId, templateData) {
+  for (const file of templateData.files || []) {
+    try {
+      await bucket.file(file.fileName).delete();
+    } catch (storageError) {
+      console.error('Storage deletion error for template file:', file.fileName, storageError);
+    }
+  }
+
+  await db.collection(TEMPLATES_COLLECTION).doc(templateId).delete();
+}
+
+app.delete('/api/templates/:templateId', requireScope('templates:manage'), verifyTemplateOwnership, async (req, res) => {
+  try {
+    await deleteTemplateAndFiles(req.params.templateId, req.template);
+    res.json({ success: true, message: 'Template deleted successfully' });
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Check that recipients name exactly one person per template role
+ * @returns {{ recipientsByRole?: Object, error?: string, missingRoles?: string[] }}
+ */
+function validateTemplateRecipients(templateData, recipients) {
+  const recipientsByRole = {};
+  for (const recipient of recipients) {
+    if (!templateData.roles.some(role => role.name === recipient?.role)) {
+      return { error: `Unknown role: ${recipient?.role}` };
+    }
+    if (recipientsByRole[recipient.role]) {
+      return { error: `More than one recipient for role ${recipient.role}` };
+    }
+    if (!recipient.name || !recipient.email || !EMAIL_PATTERN.test(recipient.email)) {
+      return { error: `Role ${recipient.role} needs a name and a valid email` };
+    }
+    recipientsByRole[recipient.role] = recipient;
+  }
+  const missingRoles = templateData.roles.filter(role => !recipientsByRole[role.name]).map(role => role.name);
+  if (missingRoles.length > 0) {
+    return { error: 'Every role needs a recipient', missingRoles };
+  }
+  return { recipientsByRole };
+}
+
+/**
+ * Pick the template role left open for someone supplied later (a CSV row, a PowerForm visitor)
+ * and check the fixed recipients fill every other role
+ * @returns {{ role?: string, recipients?: Array, error?: string, missingRoles?: string[] }}
+ */
+function resolveOpenRole(templateData, requestedRole, recipients) {
+  const role = requestedRole || (templateData.roles.length === 1 ? templateData.roles[0].name : null);
+  if (!role || !templateData.roles.some(r => r.name === role)) {
+    return { error: 'Choose which template role is left open' };
+  }
+  if (!Array.isArray(recipients) || recipients.some(recipient => recipient?.role === role)) {
+    return { error: 'recipients must list the people for the other template roles' };
+  }
+  const { error, missingRoles } = validateTemplateRecipients(templateData, [
+    ...recipients,
+    { role, name: 'Open role', email: 'open-role@example.invalid' }
+  ]);
+  return error ? { error, missingRoles } : { role, recipients };
+}
+
+/**
+ * Pre-fill field values (field id or radio group -> value) on a copy of the files' fields
+ * @returns {{ files: Array, fieldErrors: Object|null }}
+ */
+function applyPrefilledValues(files, fieldValues) {
+  const values = fieldValues && typeof fieldValues === 'object' ? fieldValues : {};
+  const fieldErrors = {};
+  const applied = new Set();
+  const updatedFiles = files.map(file => ({
+    ...file,
+    fields: (file.fields || []).map(field => {
+      const key = fieldService.getValueKey(field);
+      if (!(key in values)) return field;
+      // A radio answer is stored once, on the box it selects
+      if (field.type === 'radio' && String(field.option) !== String(values[key])) return field;
+      applied.add(key);
+      return { ...field, value: values[key] };
+    })
+  }));
+
+  const knownKeys = new Set(fieldService.getAllFields({ files }).map(field => fieldService.getValueKey(field)));
+  Object.keys(values).filter(key => !applied.has(key)).forEach(key => {
+    fieldErrors[key] = knownKeys.has(key) ? 'Please choose one of the options' : 'Unknown field';
+  });
+  const definitionCheck = fieldService.validateFieldDefinitions(fieldService.getAllFields({ files: updatedFiles }));
+  Object.assign(fieldErrors, definitionCheck.fieldErrors);
+
+  return { files: updatedFiles, fieldErrors: Object.keys(fieldErrors).length > 0 ? fieldErrors : null };
+}
+
+/**
+ * Create a document from prepared files (copied in storage) and signers, ready for startSigningWorkflow
+ * @param {Array} sourceFiles - files with a storage `fileName` and final `fields`
+ */
+async function createDocumentFromFiles(sourceFiles, signers, details, req) {
+  // Copy the files so the new document is unaffected by later changes to its source
+  const documentId = crypto.randomUUID();
+  const files = [];
+  for (const sourceFile of sourceFiles) {
+    const fileId = crypto.randomUUID();
+    const fileName = `documents/${documentId}/${fileId}_${sourceFile.originalName}`;
+    const [buffer] = await bucket.file(sourceFile.fileName).download();
+    await bucket.file(fileName).save(buffer, { contentType: sourceFile.mimeType });
+
+    files.push({
+      ...sourceFile,
+      fileId,
+      fileName,
+      fileUrl: isLocalMode
+        ? `http://localhost:${PORT}/api/documents/${documentId}/file/${fileId}`
+        : `https://storage.googleapis.com/${bucket.name}/${fileName}`
+    });
+  }
+
+  const documentData = {
+    id: documentId,
+    userId: req.user.userId,
+    title: details.title,
+    files,
+    totalFiles: files.length,
+    createdAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp(),
+    updatedAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp(),
+    status: 'configured',
+    signers,
+    workflowType: details.workflowType,
+    subject: details.subject || `Signature Request: ${details.title}`,
+    message: details.message || '',
+    configuration: details.configuration || {},
+    ...(details.templateId ? { templateId: details.templateId } : {}),
+    ...(details.bulkJobId ? { bulkJobId: details.bulkJobId } : {}),
+    ...(details.powerFormId ? { powerFormId: details.powerFormId } : {}),
+    createdBy: {
+      userId: req.user.userId,
+      email: req.user.email,
+      name: req.user.name
+    }
+  };
+
+  await db.collection('documents').doc(documentId).set(documentData);
+  return documentData;
+}
+
+/**
+ * Create a document from a template with one recipient per role
+ * @returns {Promise<{ documentData?: Object, fieldErrors?: Object }>}
+ */
+async function createDocumentFromTemplate(templateData, recipientsByRole, options, req) {
+  const { workflowType } = templateData;
+  const signers = templateData.roles.map((role, index) => {
+    const recipient = recipientsByRole[role.name];
+    return {
+      id: crypto.randomUUID(),
+      name: recipient.name,
+      email: recipient.email.trim(),
+      role: role.signerRole,
+      templateRole: role.name,
+      ...(recipient.accessCode ? { accessCode: String(recipient.accessCode) } : {}),
+      signed: false,
+      order: workflowType === 'sequential' ? index + 1 : 0,
+      routingGroup: workflowType === 'custom' ? role.routingGroup : null,
+      addedAt: new Date().toISOString()
+    };
+  });
+  const signerIdByRole = Object.fromEntries(signers.map(signer => [signer.templateRole, signer.id]));
+
+  const roleFiles = templateData.files.map(file => ({
+    ...file,
+    fields: (file.fields || []).map(({ assignedRole, ...field }) => (
+      assignedRole ? { ...field, assignedSigner: signerIdByRole[assignedRole] } : field
+    ))
+  }));
+  const { files, fieldErrors } = applyPrefilledValues(roleFiles, options.fieldValues);
+  if (fieldErrors) {
+    return { fieldErrors };
+  }
+
+  const title = options.title || templateData.name;
+  const documentData = await createDocumentFromFiles(files, signers, {
+    title,
+    workflowType,
+    subject: options.subject || templateData.subject,
+    message: options.message !== undefined ? options.message : templateData.message,
+    configuration: templateData.configuration,
+    templateId: templateData.id,
+    bulkJobId: options.bulkJobId,
+    powerFormId: options.powerFormId
+  }, req);
+
+  await recordDocumentEvent(documentData.id, 'created_from_template', req, {
+    actor: userActor(req),
+    details: { templateId: templateData.id, templateName: templateData.name }
+  });
+  return { documentData };
+}
+
+// Create a document from a template and send it. Body:
+//   { recipients: [{ role, name, email, accessCode? }], title?, subject?, message?, fieldValues? }
+app.post('/api/templates/:templateId/send', requireScope('documents:send'), requireVerifiedEmail, verifyTemplateOwnership, async (req, res) => {
+  try {
+    const templateData = req.template;
+    const recipients = Array.isArray(req.body.recipients) ? req.body.recipients : [];
+
+    const { recipientsByRole, error, missingRoles } = validateTemplateRecipients(templateData, recipients);
+    if (error) {
+      return res.status(400).json({ error, ...(missingRoles ? { missingRoles } : {}) });
+    }
+
+    const { documentData, fieldErrors } = await createDocumentFromTemplate(templateData, recipientsByRole, {
+      title: req.body.title,
+      subject: req.body.subject,
+      message: req.body.message,
+      fieldValues: req.body.fieldValues
+    }, req);
+    if (fieldErrors) {
+      return res.status(400).json({ error: 'Invalid field values', fieldErrors });
+    }
+
+    const { signersToNotify, emailsSent } = await startSigningWorkflow(documentData.id, documentData, req);
+
+    res.status(201).json({
+      success: true,
+      message: `Document created from template and sent using ${documentData.workflowType} workflow`,
+      documentId: documentData.id,
+      notifiedSigners: signersToNotify.length,
+      emailsSent,
+      totalSigners: documentData.signers.length,
+      workflowType: documentData.workflowType
+    });
+  } catch (error) {
+    console.error('Send template error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+// --- END Templates ---
+
+// --- Bulk Send ---
+// One independent document per CSV row, created from a template or an existing document.
+// Rows are stored in the job's rows subcollection and sent in batches by the scheduler
+// (/api/bulk-send/process) or a resume call; the job document only keeps the counters.
+const BULK_JOBS_COLLECTION = 'bulk_jobs';
+const BULK_JOB_ROWS_SUBCOLLECTION = 'rows';
+const MAX_BULK_ROWS = 1000;
+// Time one call spends sending rows - keep it below the serverless function timeout
+const BULK_BATCH_TIME_MS = parseInt(process.env.BULK_BATCH_TIME_MS, 10) || 8000;
+// A processing claim is treated as abandoned (e.g. the instance was recycled) after this long
+const BULK_CLAIM_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Parse CSV text (RFC 4180: quoted values, doubled quotes, CRLF) into rows of cells.
+ * Blank lines are skipped.
+ */
+function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let value = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  if (inQuotes) {
+    throw new Error('Unterminated quoted value');
+  }
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Copy an existing document for a single recipient, who fills every field
+ * @returns {Promise<{ documentData?: Object, fieldErrors?: Object }>}
+ */
+async function createDocumentForRecipient(sourceDocument, recipient, options, req) {
+  const signer = {
+    id: crypto.randomUUID(),
+    name: recipient.name,
+    email: recipient.email,
+    role: 'sign',
+    signed: false,
+    order: 0,
+    routingGroup: null,
+    addedAt: new Date().toISOString()
+  };
+  const unassignedFiles = sourceDocument.files.map(file => ({
+    ...file,
+    fields: (file.fields || []).map(({ assignedSigner, ...field }) => field)
+  }));
+  const { files, fieldErrors } = applyPrefilledValues(unassignedFiles, options.fieldValues);
+  if (fieldErrors) {
+    return { fieldErrors };
+  }
+
+  const documentData = await createDocumentFromFiles(files, [signer], {
+    title: options.title || sourceDocument.title,
+    workflowType: 'parallel',
+    subject: options.subject || sourceDocument.subject,
+    message: options.message !== undefined ? options.message : sourceDocument.message,
+    configuration: sourceDocument.configuration,
+    bulkJobId: options.bulkJobId
+  }, req);
+
+  await recordDocumentEvent(documentData.id, 'created_from_document', req, {
+    actor: userActor(req),
+    details: { sourceDocumentId: sourceDocument.id }
+  });
+  return { documentData };
+}
+
+// Job as returned to clients, with its rows when given (per-row field values left out)
+function toBulkJobResponse(job, rows) {
+  const { claimedUntil, ...response } = job;
+  return {
+    ...response,
+    ...(rows ? { rows: rows.map(({ fieldValues, ...row }) => row) } : {})
+  };
+}
+
+// Rows of a bulk job in CSV order
+async function getBulkJobRows(jobRef, status) {
+  const rowsRef = jobRef.collection(BULK_JOB_ROWS_SUBCOLLECTION);
+  const snapshot = await (status ? rowsRef.where('status', '==', status) : rowsRef).get();
+  return snapshot.docs.map(doc => doc.data()).sort((a, b) => a.row - b.row);
+}
+
+// Delete a bulk job with its rows - Firestore does not delete subcollections with their parent
+async function deleteBulkJob(jobId) {
+  const jobRef = db.collection(BULK_JOBS_COLLECTION).doc(jobId);
+  const rowSnapshot = await jobRef.collection(BULK_JOB_ROWS_SUBCOLLECTION).get();
+  for (const doc of rowSnapshot.docs) {
+    await doc.ref.delete();
+  }
+  await jobRef.delete();
+}
+
+/**
+ * Claim a queued or unfinished job so the scheduler and a resume call never send the same rows.
+ * @returns {Promise<Object|null>} The job, or null when it is finished or claimed by another call
+ */
+async function claimBulkJob(jobRef) {
+  return db.runTransaction(async (transaction) => {
+    const jobDoc = await transaction.get(jobRef);
+    if (!jobDoc.exists) return null;
+
+    const job = jobDoc.data();
+    if (!['queued', 'processing'].includes(job.status)) return null;
+    if (job.claimedUntil && new Date(job.claimedUntil) > new Date()) return null;
+
+    const claim = {
+      status: 'processing',
+      startedAt: job.startedAt || new Date().toISOString(),
+      claimedUntil: new Date(Date.now() + BULK_CLAIM_TTL_MS).toISOString()
+    };
+    transaction.update(jobRef, {
+      ...claim,
+      updatedAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp()
+    });
+    return { ...job, ...claim };
+  });
+}
+
+// Create and send the document for one bulk row, returning the row's new status
+async function sendBulkRow(job, source, row, req) {
+  try {
+    if (!source) {
+      throw new Error(`Source ${job.source.type} no longer exists`);
+    }
+    const options = {
+      title: job.title,
+      subject: job.subject,
+      message: job.message,
+      fieldValues: row.fieldValues,
+      bulkJobId: job.id
+    };
+
+    let created;
+    if (job.source.type === 'template') {
+      const { recipientsByRole, error } = validateTemplateRecipients(source, [
+        ...job.recipients,
+        { role: job.role, name: row.name, email: row.email }
+      ]);
+      if (error) {
+        throw new Error(error);
+      }
+      created = await createDocumentFromTemplate(source, recipientsByRole, options, req);
+    } else {
+      created = await createDocumentForRecipient(source, { name: row.name, email: row.email }, options, req);
+    }
+
+    if (created.fieldErrors) {
+      return {
+        status: 'failed',
+        error: Object.entries(created.fieldErrors).map(([key, message]) => `${key}: ${message}`).join('; ')
+      };
+    }
+    const { emailsSent } = await startSigningWorkflow(created.documentData.id, created.documentData, req);
+    return { status: 'sent', documentId: created.documentData.id, emailsSent };
+  } catch (error) {
+    console.error(`Bulk send row ${row.row} error:`, error);
+    return { status: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Send a bulk job's pending rows until the deadline, saving each row and the job counters as it
+ * goes so the next call picks up where this one stopped
+ * @returns {Promise<{ job: Object, processedRows: number }|null>} null when the job could not be claimed
+ */
+async function processBulkJob(jobId, req, deadline = Date.now() + BULK_BATCH_TIME_MS) {
+  const jobRef = db.collection(BULK_JOBS_COLLECTION).doc(jobId);
+  const job = await claimBulkJob(jobRef);
+  if (!job) return null;
+
+  const counts = { processed: job.processed, sent: job.sent, failed: job.failed };
+  let processedRows = 0;
+  try {
+    const pendingRows = await getBulkJobRows(jobRef, 'pending');
+    const sourceDoc = await db.collection(job.source.type === 'template' ? TEMPLATES_COLLECTION : 'documents')
+      .doc(job.source.id)
+      .get();
+    const source = sourceDoc.exists ? sourceDoc.data() : null;
+
+    // Documents belong to the job's owner, so act as them when creating them
+    const ownerRequest = Object.assign(Object.create(req), { user: job.createdBy });
+
+    for (const row of pendingRows) {
+      // Always send at least one row, so every call makes progress
+      if (processedRows > 0 && Date.now() >= deadline) break;
+
+      const result = await sendBulkRow(job, source, row, ownerRequest);
+      await jobRef.collection(BULK_JOB_ROWS_SUBCOLLECTION).doc(String(row.row)).update(result);
+      processedRows++;
+      counts.processed++;
+      counts[result.status]++;
+      await jobRef.update({
+        ...counts,
+        updatedAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp()
+      });
+    }
+
+    const update = { ...counts, claimedUntil: null };
+    if (processedRows === pendingRows.length) {
+      update.status = counts.failed > 0 ? 'completed_with_errors' : 'completed';
+      update.completedAt = new Date().toISOString();
+      console.log(`📬 Bulk job ${jobId} finished: ${counts.sent} sent, ${counts.failed} failed`);
+    }
+    await jobRef.update({
+      ...update,
+      updatedAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp()
+    });
+    return { job: { ...job, ...update }, processedRows };
+  } catch (error) {
+    // Release the claim so the next call can retry the remaining rows
+    await jobRef.update({
+      claimedUntil: null,
+      updatedAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp()
+    });
+    throw error;
+  }
+}
+
+// Start a bulk send. multipart/form-data with a 'csv' file (or a `csv` text field) and
+//   templateId or documentId, role (template role the CSV fills), recipients (JSON, fixed
+//   people for the template's other roles), title, subject, message
+// CSV columns: name, email, then optional field ids (or radio group names) to pre-fill.
+app.post('/api/bulk-send', requireScope('documents:send'), requireVerifiedEmail, upload.single('csv'), async (req, res) => {
+  try {
+    const { templateId, documentId, title, subject, message } = req.body;
+
+    if (!!templateId === !!documentId) {
+      return res.status(400).json({ error: 'Provide either a templateId or a documentId' });
+    }
+
+    const csvText = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+    if (!csvText || typeof csvText !== 'string') {
+      return res.status(400).json({ error: 'A CSV of recipients is required' });
+    }
+
+    let csvRows;
+    try {
+      csvRows = parseCsv(csvText);
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid CSV: ${error.message}` });
+    }
+    const [header = [], ...dataRows] = csvRows;
+    const columns = header.map(column => column.trim());
+    const nameIndex = columns.findIndex(column => column.toLowerCase() === 'name');
+    const emailIndex = columns.findIndex(column => column.toLowerCase() === 'email');
+    if (nameIndex === -1 || emailIndex === -1) {
+      return res.status(400).json({ error: 'CSV must have name and email columns' });
+    }
+    if (dataRows.length === 0) {
+      return res.status(400).json({ error: 'CSV has no recipients' });
+    }
+    if (dataRows.length > MAX_BULK_ROWS) {
+      return res.status(400).json({ error: `At most ${MAX_BULK_ROWS} recipients per bulk send` });
+    }
+
+    // Load the source and check it belongs to the user
+    const sourceType = templateId ? 'template' : 'document';
+    const sourceDoc = await db.collection(templateId ? TEMPLATES_COLLECTION : 'documents').doc(templateId || documentId).get();
+    if (!sourceDoc.exists || sourceDoc.data().userId !== req.user.userId) {
+      return res.status(404).json({ error: `${templateId ? 'Template' : 'Document'} not found` });
+    }
+    const source = sourceDoc.data();
+    if (!Array.isArray(source.files) || source.files.length === 0) {
+      return res.status(400).json({ error: 'Only documents uploaded with files can be bulk sent' });
+    }
+
+    // Template: the CSV fills one role, fixed recipients fill the rest
+    let role = null;
+    let recipients = [];
+    if (sourceType === 'template') {
+      const resolved = resolveOpenRole(source, req.body.role, parseFormJson(req.body.recipients, []));
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error, ...(resolved.missingRoles ? { missingRoles: resolved.missingRoles } : {}) });
+      }
+      ({ role, recipients } = resolved);
+    }
+
+    // Every other column must name a field of the source
+    const fieldKeys = new Set(fieldService.getAllFields(source).map(field => fieldService.getValueKey(field)));
+    const unknownColumns = columns.filter((column, index) =>
+      index !== nameIndex && index !== emailIndex && column && !fieldKeys.has(column)
+    );
+    if (unknownColumns.length > 0) {
+      return res.status(400).json({ error: 'CSV columns do not match any field', unknownColumns });
+    }
+
+    const rows = dataRows.map((cells, index) => {
+      const name = (cells[nameIndex] || '').trim();
+      const email = (cells[emailIndex] || '').trim();
+      const fieldValues = {};
+      columns.forEach((column, columnIndex) => {
+        if (columnIndex === nameIndex || columnIndex === emailIndex || !column) return;
+        if (cells[columnIndex] !== undefined && cells[columnIndex].trim() !== '') {
+          fieldValues[column] = cells[columnIndex].trim();
+        }
+      });
+
+      const row = { row: index + 2, name, email, fieldValues, status: 'pending' };
+      if (!name || !EMAIL_PATTERN.test(email)) {
+        row.status = 'failed';
+        row.error = 'Row needs a name and a valid email';
+      }
+      return row;
+    });
+
+    const jobId = crypto.randomUUID();
+    const jobRef = db.collection(BULK_JOBS_COLLECTION).doc(jobId);
+    // Rows first, so the scheduler never picks up a job whose rows are still being written
+    await Promise.all(rows.map(row => jobRef.collection(BULK_JOB_ROWS_SUBCOLLECTION).doc(String(row.row)).set(row)));
+    const failed = rows.filter(row => row.status === 'failed').length;
+    await jobRef.set({
+      id: jobId,
+      userId: req.user.userId,
+      createdBy: {
+        userId: req.user.userId,
+        email: req.user.email || null,
+        name: req.user.name || null
+      },
+      source: { type: sourceType, id: source.id, name: source.name || source.title || null },
+      role,
+      recipients,
+      title: title || null,
+      subject: subject || null,
+      message: message !== undefined ? message : null,
+      status: failed === rows.length ? 'completed_with_errors' : 'queued',
+      total: rows.length,
+      processed: failed,
+      sent: 0,
+      failed,
+      claimedUntil: null,
+      createdAt: new Date().toISOString(),
+      ...(failed === rows.length ? { completedAt: new Date().toISOString() } : {}),
+      updatedAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp()
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Bulk send queued for ${rows.length} recipient(s)`,
+      jobId,
+      total: rows.length,
+      statusUrl: `/api/bulk-send/${jobId}`
+    });
+  } catch (error) {
+    console.error('Bulk send error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send pending rows of queued and unfinished bulk jobs, oldest first, within BULK_BATCH_TIME_MS.
+// Call from a scheduler, like /api/reminders/send, until no jobs are left.
+app.post('/api/bulk-send/process', verifyCronSecret, async (req, res) => {
+  try {
+    const jobs = [];
+    for (const status of ['processing', 'queued']) {
+      const snapshot = await db.collection(BULK_JOBS_COLLECTION).where('status', '==', status).get();
+      snapshot.forEach(doc => {
+        jobs.push(doc.data());
+      });
+    }
+    jobs.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+
+    const deadline = Date.now() + BULK_BATCH_TIME_MS;
+    let processedJobs = 0;
+    let processedRows = 0;
+    for (const job of jobs) {
+      if (Date.now() >= deadline) break;
+      const result = await processBulkJob(job.id, req, deadline);
+      if (!result) continue;
+      processedJobs++;
+      processedRows += result.processedRows;
+    }
+
+    res.json({ success: true, pendingJobs: jobs.length, processedJobs, processedRows });
+  } catch (error) {
+    console.error('Process bulk jobs error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Bulk job progress with per-row status
+app.get('/api/bulk-send/:jobId', requireScope('documents:send'), async (req, res) => {
+  try {
+    const jobRef = db.collection(BULK_JOBS_COLLECTION).doc(req.params.jobId);
+    const jobDoc = await jobRef.get();
+    if (!jobDoc.exists || jobDoc.data().userId !== req.user.userId) {
+      return res.status(404).json({ error: 'Bulk job not found' });
+    }
+
+    const rows = await getBulkJobRows(jobRef);
+    res.json({ success: true, job: toBulkJobResponse(jobDoc.data(), rows) });
+  } catch (error) {
+    console.error('Get bulk job error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send the job's next batch of pending rows now instead of waiting for the scheduler
+app.post('/api/bulk-send/:jobId/resume', requireScope('documents:send'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const jobDoc = await db.collection(BULK_JOBS_COLLECTION).doc(jobId).get();
+    if (!jobDoc.exists || jobDoc.data().userId !== req.user.userId) {
+      return res.status(404).json({ error: 'Bulk job not found' });
+    }
+    if (!['queued', 'processing'].includes(jobDoc.data().status)) {
+      return res.status(409).json({ error: 'Bulk job has no pending rows' });
+    }
+
+    const result = await processBulkJob(jobId, req);
+    if (!result) {
+      return res.status(409).json({ error: 'Bulk job is already being processed' });
+    }
+
+    res.json({
+      success: true,
+      message: `Processed ${result.processedRows} row(s)`,
+      job: toBulkJobResponse(result.job)
+    });
+  } catch (error) {
+    console.error('Resume bulk job error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+// --- END Bulk Send ---
+
+// --- PowerForms ---
+// Public self-service links: a visitor enters their name and email, verifies the email with
+// a code, and gets their own document from a template to sign straight away. The visitor
+// fills the PowerForm's open template role; fixed recipients fill any other roles.
+const POWERFORMS_COLLECTION = 'powerforms';
+const POWERFORM_VERIFICATIONS_COLLECTION = 'powerform_verifications';
+const POWERFORM_CODE_TTL_MINUTES = 15;
+const POWERFORM_MAX_CODE_ATTEMPTS = 5;
+
+const powerFormLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  keyGenerator: (req) => getClientIp(req),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many requests, please try again later' }
+});
+
+const verifyPowerFormOwnership = async (req, res, next) => {
+  try {
+    const powerFormDoc = await db.collection(POWERFORMS_COLLECTION).doc(req.params.powerFormId).get();
+
+    if (!powerFormDoc.exists) {
+      return res.status(404).json({ success: false, error: 'PowerForm not found' });
+    }
+
+    const powerFormData = powerFormDoc.data();
+    if (powerFormData.userId !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'You do not have permission to access this PowerForm'
+      });
+    }
+
+    req.powerForm = powerFormData;
+    next();
+  } catch (error) {
+    console.error('PowerForm ownership verification error:', error);
+    return res.status(500).json({ success: false, error: 'Authorization error' });
+  }
+};
+
+/**
+ * Validate the limit settings of a PowerForm
+ * @returns {{ limits?: Object, error?: string }}
+ */
+function parsePowerFormLimits({ maxSubmissions, expiresAt }) {
+  const limits = {};
+  if (maxSubmissions !== undefined) {
+    if (maxSubmissions !== null && !(Number.isInteger(Number(maxSubmissions)) && Number(maxSubmissions) > 0)) {
+      return { error: 'maxSubmissions must be a positive integer or null' };
+    }
+    limits.maxSubmissions = maxSubmissions === null ? null : Number(maxSubmissions);
+  }
+  if (expiresAt !== undefined) {
+    if (expiresAt !== null && isNaN(Date.parse(expiresAt))) {
+      return { error: 'expiresAt must be a date or null' };
+    }
+    limits.expiresAt = expiresAt === null ? null : new Date(expiresAt).toISOString();
+  }
+  return { limits };
+}
+
+/**
+ * Why a PowerForm cannot take new submissions right now
+ * @returns {string|null} reason, or null when it is open
+ */
+function getPowerFormClosedReason(powerForm) {
+  if (!powerForm.active) {
+    return 'This form is no longer accepting submissions';
+  }
+  if (powerForm.expiresAt && new Date(powerForm.expiresAt) <= new Date()) {
+    return 'This form has expired';
+  }
+  if (powerForm.maxSubmissions && (powerForm.submissionCount || 0) >= powerForm.maxSubmissions) {
+    return 'This form has reached its submission limit';
+  }
+  return null;
+}
+
+function getPowerFormUrl(powerFormId) {
+  return `${process.env.FRONTEND_URL_WEB}/forms/${powerFormId}`;
+}
+
+function toPowerFormResponse(powerForm) {
+  return {
+    ...powerForm,
+    publicUrl: getPowerFormUrl(powerForm.id),
+    closedReason: getPowerFormClosedReason(powerForm)
+  };
+}
+
+function hashPowerFormCode(verificationId, code) {
+  return crypto.createHash('sha256').update(`${verificationId}:${code}`).digest('hex');
+}
+
+// Publish a template as a PowerForm. Body:
+//   { templateId, role?, recipients?, title?, description?, maxSubmissions?, expiresAt? }
+app.post('/api/powerforms', requireScope('templates:manage'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const { templateId, title, description } = req.body;
+
+    const templateDoc = templateId ? await db.collection(TEMPLATES_COLLECTION).doc(templateId).get() : null;
+    if (!templateDoc || !templateDoc.exists || templateDoc.data().userId !== req.user.userId) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    const templateData = templateDoc.data();
+
+    const resolved = resolveOpenRole(templateData, req.body.role, req.body.recipients || []);
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error, ...(resolved.missingRoles ? { missingRoles: resolved.missingRoles } : {}) });
+    }
+
+    const { limits, error: limitsError } = parsePowerFormLimits(req.body);
+    if (limitsError) {
+      return res.status(400).json({ error: limitsError });
+    }
+
+    const powerFormId = crypto.randomUUID();
+    const powerForm = {
+      id: powerFormId,
+      userId: req.user.userId,
+      templateId,
+      templateName: templateData.name,
+      title: title || templateData.name,
+      description: description || '',
+      role: resolved.role,
+      recipients: resolved.recipients,
+      active: true,
+      maxSubmissions: null,
+      expiresAt: null,
+      ...limits,
+      submissionCount: 0,
+      createdAt: new Date().toISOString(),
+      updatedAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp(),
+      createdBy: {
+        userId: req.user.userId,
+        email: req.user.email,
+        name: req.user.name
+      }
+    };
+    await db.collection(POWERFORMS_COLLECTION).doc(powerFormId).set(powerForm);
+
+    res.status(201).json({ success: true, powerForm: toPowerFormResponse(powerForm) });
+  } catch (error) {
+    console.error('Create PowerForm error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/powerforms', requireScope('templates:manage'), async (req, res) => {
+  try {
+    const snapshot = await db.collection(POWERFORMS_COLLECTION)
+      .where('userId', '==', req.user.userId)
+      .get();
+
+    const powerForms = [];
+    snapshot.forEach(doc => {
+      powerForms.push(toPowerFormResponse(doc.data()));
+    });
+    powerForms.sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+
+    res.json({ success: true, powerForms });
+  } catch (error) {
+    console.error('List PowerForms error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/powerforms/:powerFormId', requireScope('templates:manage'), verifyPowerFormOwnership, async (req, res) => {
+  res.json({ success: true, powerForm: toPowerFormResponse(req.powerForm) });
+});
+
+// Update title, description, active flag and limits
+app.put('/api/powerforms/:powerFormId', requireScope('templates:manage'), verifyPowerFormOwnership, async (req, res) => {
+  try {
+    const { title, description, active } = req.body;
+
+    const { limits, error: limitsError } = parsePowerFormLimits(req.body);
+    if (limitsError) {
+      return res.status(400).json({ error: limitsError });
+    }
+    if (active !== undefined && typeof active !== 'boolean') {
+      return res.status(400).json({ error: 'active must be true or false' });
+    }
+
+    const updateData = {
+      ...limits,
+      updatedAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp()
+    };
+    if (title !== undefined) updateData.title = title;
+    if (description !== undefined) updateData.description = description;
+    if (active !== undefined) updateData.active = active;
+
+    await db.collection(POWERFORMS_COLLECTION).doc(req.params.powerFormId).update(updateData);
+
+    res.json({ success: true, powerForm: toPowerFormResponse({ ...req.powerForm, ...updateData }) });
+  } catch (error) {
+    console.error('Update PowerForm error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/powerforms/:powerFormId', requireScope('templates:manage'), verifyPowerFormOwnership, async (req, res) => {
+  try {
+    await db.collection(POWERFORMS_COLLECTION).doc(req.params.powerFormId).delete();
+    res.json({ success: true, message: 'PowerForm deleted successfully' });
+  } catch (error) {
+    console.error('Delete PowerForm error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Public details for the PowerForm landing page
+app.get('/api/public/powerforms/:powerFormId', powerFormLimiter, async (req, res) => {
+  try {
+    const powerFormDoc = await db.collection(POWERFORMS_COLLECTION).doc(req.params.powerFormId).get();
+    if (!powerFormDoc.exists) {
+      return res.status(404).json({ error: 'Form not found' });
+    }
+
+    const powerForm = powerFormDoc.data();
+    const closedReason = getPowerFormClosedReason(powerForm);
+    res.json({
+      success: true,
+      powerForm: {
+        id: powerForm.id,
+        title: powerForm.title,
+        description: powerForm.description,
+        available: !closedReason,
+        message: closedReason
+      }
+    });
+  } catch (error) {
+    console.error('Get public PowerForm error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Step 1: the visitor enters their name and email and is emailed a verification code
+app.post('/api/public/powerforms/:powerFormId/start', powerFormLimiter, async (req, res) => {
+  try {
+    const { powerFormId } = req.params;
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+
+    if (!name || !EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: 'Your name and a valid email are required' });
+    }
+
+    const powerFormDoc = await db.collection(POWERFORMS_COLLECTION).doc(powerFormId).get();
+    if (!powerFormDoc.exists) {
+      return res.status(404).json({ error: 'Form not found' });
+    }
+    const powerForm = powerFormDoc.data();
+    const closedReason = getPowerFormClosedReason(powerForm);
+    if (closedReason) {
+      return res.status(410).json({ error: 'Form closed', message: closedReason });
+    }
+
+    const verificationId = crypto.randomUUID();
+    const code = generateOTP();
+    const expiresAt = new Date(Date.now() + POWERFORM_CODE_TTL_MINUTES * 60 * 1000);
+    await db.collection(POWERFORM_VERIFICATIONS_COLLECTION).doc(verificationId).set({
+      id: verificationId,
+      powerFormId,
+      name,
+      email,
+      codeHash: hashPowerFormCode(verificationId, code),
+      attempts: 0,
+      expiresAt: expiresAt.toISOString(),
+      verifiedAt: null,
+      documentId: null,
+      createdAt: new Date().toISOString()
+    });
+
+    const emailHtml = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #4F46E5;">Verify your email</h2>
+        <p>Hello ${emailService.escapeHtml(name)},</p>
+        <p>Use this code to continue to "${emailService.escapeHtml(powerForm.title)}":</p>
+        <h1 style="font-size: 32px; letter-spacing: 5px; text-align: center; padding: 20px; background-color: #f5f5f5; border-radius: 5px; color: #4F46E5;">${code}</h1>
+        <p>This code will expire in ${POWERFORM_CODE_TTL_MINUTES} minutes.</p>
+        <p>If you didn't request this, please ignore this email.</p>
+        <p>Best regards,<br>eSignTap Team</p>
+      </div>
+    `;
+
+    try {
+      await emailService.sendEmail({
+        to: email,
+        subject: `Your verification code for ${powerForm.title} - eSignTap`,
+        text: `Your verification code is: ${code}. This code will expire in ${POWERFORM_CODE_TTL_MINUTES} minutes.`,
+        html: emailHtml
+      });
+    } catch (emailError) {
+      console.error('PowerForm verification email error:', emailError);
+      return res.status(502).json({ error: 'Could not send the verification email. Please try again.' });
+    }
+
+    res.json({
+      success: true,
+      message: 'A verification code has been sent to your email',
+      verificationId,
+      expiresAt: expiresAt.toISOString()
+    });
+  } catch (error) {
+    console.error('Start PowerForm error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Step 2: the visitor enters the code and gets their own document to sign
+app.post('/api/public/powerforms/:powerFormId/verify', powerFormLimiter, async (req, res) => {
+  try {
+    const { powerFormId } = req.params;
+    const { verificationId, code } = req.body;
+
+    if (!verificationId || !code) {
+      return res.status(400).json({ error: 'verificationId and code are required' });
+    }
+
+    const verificationRef = db.collection(POWERFORM_VERIFICATIONS_COLLECTION).doc(verificationId);
+    const powerFormRef = db.collection(POWERFORMS_COLLECTION).doc(powerFormId);
+    const verificationDoc = await verificationRef.get();
+    const verification = verificationDoc.exists ? verificationDoc.data() : null;
+    if (!verification || verification.powerFormId !== powerFormId) {
+      return res.status(404).json({ error: 'Verification not found' });
+    }
+    if (verification.verifiedAt) {
+      return res.status(409).json({ error: 'This code has already been used' });
+    }
+    if (new Date(verification.expiresAt) <= new Date()) {
+      return res.status(410).json({ error: 'Verification code expired. Please start again.' });
+    }
+
+    // Count the attempt in a transaction before comparing the code, so parallel guesses
+    // cannot all read the same count and slip under the limit
+    const attempts = await db.runTransaction(async (transaction) => {
+      const latestAttempts = (await transaction.get(verificationRef)).data().attempts || 0;
+      if (latestAttempts >= POWERFORM_MAX_CODE_ATTEMPTS) return null;
+      transaction.update(verificationRef, { attempts: latestAttempts + 1 });
+      return latestAttempts + 1;
+    });
+    if (attempts === null) {
+      return res.status(429).json({ error: 'Too many incorrect codes. Please start again.' });
+    }
+
+    const expectedHash = Buffer.from(verification.codeHash, 'hex');
+    const actualHash = Buffer.from(hashPowerFormCode(verificationId, String(code).trim()), 'hex');
+    if (!crypto.timingSafeEqual(expectedHash, actualHash)) {
+      return res.status(400).json({
+        error: 'Incorrect verification code',
+        attemptsRemaining: POWERFORM_MAX_CODE_ATTEMPTS - attempts
+      });
+    }
+
+    // Limits are checked again: the form may have closed since the code was sent
+    const powerFormDoc = await powerFormRef.get();
+    if (!powerFormDoc.exists) {
+      return res.status(404).json({ error: 'Form not found' });
+    }
+    const powerForm = powerFormDoc.data();
+    const closedReason = getPowerFormClosedReason(powerForm);
+    if (closedReason) {
+      return res.status(410).json({ error: 'Form closed', message: closedReason });
+    }
+
+    const templateDoc = await db.collection(TEMPLATES_COLLECTION).doc(powerForm.templateId).get();
+    if (!templateDoc.exists) {
+      return res.status(410).json({ error: 'Form closed', message: 'This form is no longer available' });
+    }
+    const templateData = templateDoc.data();
+
+    const { recipientsByRole, error } = validateTemplateRecipients(templateData, [
+      ...powerForm.recipients,
+      { role: powerForm.role, name: verification.name, email: verification.email }
+    ]);
+    if (error) {
+      console.error(`PowerForm ${powerFormId} no longer matches its template:`, error);
+      return res.status(410).json({ error: 'Form closed', message: 'This form is no longer available' });
+    }
+
+    // Claim the code and the submission in one transaction before creating the document, so
+    // concurrent requests can neither reuse the code nor push the form past its limits
+    const claimError = await db.runTransaction(async (transaction) => {
+      const [latestVerificationDoc, latestPowerFormDoc] = await Promise.all([
+        transaction.get(verificationRef),
+        transaction.get(powerFormRef)
+      ]);
+      if (latestVerificationDoc.data().verifiedAt) {
+        return { status: 409, body: { error: 'This code has already been used' } };
+      }
+      const latestPowerForm = latestPowerFormDoc.exists ? latestPowerFormDoc.data() : null;
+      const latestClosedReason = latestPowerForm ? getPowerFormClosedReason(latestPowerForm) : 'This form is no longer available';
+      if (latestClosedReason) {
+        return { status: 410, body: { error: 'Form closed', message: latestClosedReason } };
+      }
+
+      const claimedAt = new Date().toISOString();
+      transaction.update(verificationRef, { verifiedAt: claimedAt });
+      transaction.update(powerFormRef, {
+        submissionCount: (latestPowerForm.submissionCount || 0) + 1,
+        lastSubmissionAt: claimedAt
+      });
+      return null;
+    });
+    if (claimError) {
+      return res.status(claimError.status).json(claimError.body);
+    }
+
+    // Documents belong to the PowerForm's owner, so act as them when creating it
+    const ownerRequest = Object.assign(Object.create(req), {
+      user: { userId: powerForm.userId, email: powerForm.createdBy?.email, name: powerForm.createdBy?.name }
+    });
+    const { documentData, fieldErrors } = await createDocumentFromTemplate(templateData, recipientsByRole, {
+      title: `${powerForm.title} - ${verification.name}`,
+      powerFormId
+    }, ownerRequest);
+    if (fieldErrors) {
+      console.error(`PowerForm ${powerFormId} template has invalid fields:`, fieldErrors);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    const { signers } = await startSigningWorkflow(documentData.id, documentData, ownerRequest);
+    await verificationRef.update({ documentId: documentData.id });
+
+    // The visitor signs right away when their role is up first
+    const selfSigner = signers.find(signer => signer.templateRole === powerForm.role);
+    const canSignNow = getActiveSigners(documentData, signers).some(signer => signer.id === selfSigner.id);
+
+    res.status(201).json({
+      success: true,
+      message: canSignNow
+        ? 'Email verified. You can sign your document now.'
+        : 'Email verified. You will receive an email when it is your turn to sign.',
+      documentId: documentData.id,
+      signingUrl: canSignNow ? buildSigningUrl(documentData.id, selfSigner) : null
+    });
+  } catch (error) {
+    console.error('Verify PowerForm error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+// --- END PowerForms ---
+
+// --- Webhooks ---
+const WEBHOOKS_COLLECTION = 'webhooks';
+const WEBHOOK_DELIVERIES_COLLECTION = 'webhook_deliveries';
+const WEBHOOK_EVENTS = [
+  'document.sent',
+  'document.viewed',
+  'document.signed',
+  'document.declined',
+  'document.completed',
+  'document.expired'
+];
+// Wait before each retry; a delivery fails for good once these run out
+const WEBHOOK_RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Webhooks may only reach public hosts - never loopback, private, link-local (cloud metadata)
+// or other reserved ranges of the server's own network. WEBHOOK_ALLOW_PRIVATE_HOSTS=true lifts
+// this for local development and is ignored in production.
+const BLOCKED_WEBHOOK_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_WEBHOOK_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_WEBHOOK_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+const ALLOW_PRIVATE_WEBHOOK_HOSTS = process.env.NODE_ENV !== 'production' && process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+function isBlockedWebhookAddress(address, family) {
+  if (ALLOW_PRIVATE_WEBHOOK_HOSTS) return false;
+  return BLOCKED_WEBHOOK_ADDRESSES.check(address, family === 6 || family === 'IPv6' ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolve a webhook URL's host and make sure every address it maps to is public
+ * @returns {Promise<string|null>} why the URL is not allowed, or null when it is
+ */
+async function getWebhookHostError(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const literalFamily = net.isIP(host);
+  let addresses;
+  if (literalFamily) {
+    addresses = [{ address: host, family: literalFamily }];
+  } else {
+    try {
+      addresses = await dns.promises.lookup(host, { all: true });
+    } catch (error) {
+      return `url host ${host} could not be resolved`;
+    }
+  }
+  if (addresses.some(({ address, family }) => isBlockedWebhookAddress(address, family))) {
+    return 'url must point to a public host';
+  }
+  return null;
+}
+
+// dns.lookup for webhook requests: refuses blocked addresses at connect time, so a host that
+// re-resolves to a private address after it was checked (DNS rebinding) is still not reached
+function webhookLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address, family }) => isBlockedWebhookAddress(address, family))) {
+      const blockedError = new Error(`${hostname} resolves to a non-public address`);
+      blockedError.code = 'EBLOCKEDHOST';
+      return callback(blockedError);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const webhookHttpAgent = new http.Agent({ lookup: webhookLookup });
+const webhookHttpsAgent = new https.Agent({ lookup: webhookLookup });
+
+const verifyWebhookOwnership = async (req, res, next) => {
+  try {
+    const webhookDoc = await db.collection(WEBHOOKS_COLLECTION).doc(req.params.webhookId).get();
+
+    if (!webhookDoc.exists) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+
+    const webhookData = webhookDoc.data();
+    if (webhookData.userId !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'You do not have permission to access this webhook'
+      });
+    }
+
+    req.webhook = webhookData;
+    next();
+  } catch (error) {
+    console.error('Webhook ownership verification error:', error);
+    return res.status(500).json({ success: false, error: 'Authorization error' });
+  }
+};
+
+/**
+ * Validate the url and events of a webhook
+ * @returns {Promise<{ settings?: Object, error?: string }>}
+ */
+async function parseWebhookSettings({ url, events }) {
+  const settings = {};
+  if (url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return { error: 'url must be a valid URL' };
+    }
+    if (!['https:', 'http:'].includes(parsed.protocol) || (parsed.protocol === 'http:' && !isLocalMode)) {
+      return { error: 'url must use https' };
+    }
+    const hostError = await getWebhookHostError(parsed.toString());
+    if (hostError) {
+      return { error: hostError };
+    }
+    settings.url = parsed.toString();
+  }
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return { error: 'events must be a non-empty array' };
+    }
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      return { error: `Unknown events: ${unknown.join(', ')}. Supported: ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    settings.events = [...new Set(events)];
+  }
+  return { settings };
+}
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+// The secret is only shown when it is created or rotated
+function toWebhookResponse(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Document summary sent with every document.* event
+function buildWebhookDocumentData(documentId, documentData, extra = {}) {
+  return {
+    documentId,
+    title: documentData.title || documentData.originalName || 'Document',
+    status: documentData.status,
+    ...extra
+  };
+}
+
+/**
+ * Queue a delivery of an event to each of the user's webhooks subscribed to it, and
+ * make the first attempt in the background. Never throws - webhooks must not fail the request.
+ */
+async function emitWebhookEvent(userId, event, data) {
+  try {
+    const snapshot = await db.collection(WEBHOOKS_COLLECTION)
+      .where('userId', '==', userId)
+      .get();
+
+    const webhooks = [];
+    snapshot.forEach(doc => {
+      const webhook = doc.data();
+      if (webhook.active && webhook.events.includes(event)) {
+        webhooks.push(webhook);
+      }
+    });
+
+    for (const webhook of webhooks) {
+      const deliveryId = crypto.randomUUID();
+      const delivery = {
+        id: deliveryId,
+        webhookId: webhook.id,
+        userId,
+        event,
+        payload: { id: deliveryId, event, createdAt: new Date().toISOString(), data },
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date().toISOString(),
+        lastAttemptAt: null,
+        responseStatus: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        deliveredAt: null
+      };
+      await db.collection(WEBHOOK_DELIVERIES_COLLECTION).doc(deliveryId).set(delivery);
+      attemptWebhookDelivery(delivery).catch(error => {
+        console.error(`Webhook delivery ${deliveryId} error:`, error);
+      });
+    }
+  } catch (error) {
+    console.error(`Failed to emit ${event} webhook event:`, error);
+  }
+}
+
+/**
+ * POST a delivery to its webhook and record the outcome. Failed attempts are rescheduled
+ * with backoff (picked up by POST /api/webhooks/deliveries/retry) until the retries run out.
+ * @returns {Promise<Object>} the updated delivery
+ */
+async function attemptWebhookDelivery(delivery) {
+  const deliveryRef = db.collection(WEBHOOK_DELIVERIES_COLLECTION).doc(delivery.id);
+  const webhookDoc = await db.collection(WEBHOOKS_COLLECTION).doc(delivery.webhookId).get();
+  if (!webhookDoc.exists || !webhookDoc.data().active) {
+    const update = { status: 'failed', nextAttemptAt: null, error: 'Webhook was deleted or disabled' };
+    await deliveryRef.update(update);
+    return { ...delivery, ...update };
+  }
+  const webhook = webhookDoc.data();
+
+  // Re-check the host: DNS may have changed since the webhook was registered
+  const hostError = await getWebhookHostError(webhook.url);
+  if (hostError) {
+    const update = { attempts: (delivery.attempts || 0) + 1, lastAttemptAt: new Date().toISOString(), status: 'failed', nextAttemptAt: null, responseStatus: null, error: hostError };
+    await deliveryRef.update(update);
+    return { ...delivery, ...update };
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const attempts = (delivery.attempts || 0) + 1;
+  let responseStatus = null;
+  let error = null;
+  try {
+    const response = await axios.post(webhook.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'eSignTap-Webhooks/1.0',
+        'X-Webhook-Id': webhook.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': `sha256=${signWebhookPayload(webhook.secret, timestamp, body)}`
+      },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      // Redirects are never followed, so a public endpoint cannot bounce the request inward
+      maxRedirects: 0,
+      httpAgent: webhookHttpAgent,
+      httpsAgent: webhookHttpsAgent,
+      proxy: false,
+      validateStatus: () => true
+    });
+    responseStatus = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      error = `Endpoint responded with HTTP ${response.status}`;
+    }
+  } catch (requestError) {
+    error = requestError.code ? `${requestError.code}: ${requestError.message}` : requestError.message;
+  }
+
+  const now = new Date();
+  const update = { attempts, lastAttemptAt: now.toISOString(), responseStatus, error };
+  if (!error) {
+    Object.assign(update, { status: 'delivered', deliveredAt: now.toISOString(), nextAttemptAt: null });
+  } else if (attempts > WEBHOOK_RETRY_DELAYS_MINUTES.length) {
+    Object.assign(update, { status: 'failed', nextAttemptAt: null });
+  } else {
+    const delayMs = WEBHOOK_RETRY_DELAYS_MINUTES[attempts - 1] * 60 * 1000;
+    Object.assign(update, { status: 'pending', nextAttemptAt: new Date(now.getTime() + delayMs).toISOString() });
+  }
+  await deliveryRef.update(update);
+  if (error) {
+    console.warn(`⚠️ Webhook delivery ${delivery.id} (${delivery.event}) attempt ${attempts} failed: ${error}`);
+  }
+  return { ...delivery, ...update };
+}
+
+// Register a webhook endpoint. Body: { url, events, description? }
+app.post('/api/webhooks', authenticateToken, async (req, res) => {
+  try {
+    if (!req.body.url || !req.body.events) {
+      return res.status(400).json({ error: 'url and events are required', supportedEvents: WEBHOOK_EVENTS });
+    }
+    const { settings, error } = await parseWebhookSettings(req.body);
+    if (error) {
+      return res.status(400).json({ error, supportedEvents: WEBHOOK_EVENTS });
+    }
+
+    const webhookId = crypto.randomUUID();
+    const webhook = {
+      id: webhookId,
+      userId: req.user.userId,
+      ...settings,
+      description: req.body.description || '',
+      secret: generateWebhookSecret(),
+      active: true,
+      createdAt: new Date().toISOString(),
+      updatedAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp()
+    };
+    await db.collection(WEBHOOKS_COLLECTION).doc(webhookId).set(webhook);
+
+    res.status(201).json({
+      success: true,
+      webhook: { ...toWebhookResponse(webhook), secret: webhook.secret },
+      message: 'Store the secret now - it is used to verify the X-Webhook-Signature header and is not shown again'
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/webhooks', authenticateToken, async (req, res) => {
+  try {
+    const snapshot = await db.collection(WEBHOOKS_COLLECTION)
+      .where('userId', '==', req.user.userId)
+      .get();
+
+    const webhooks = [];
+    snapshot.forEach(doc => {
+      webhooks.push(toWebhookResponse(doc.data()));
+    });
+    webhooks.sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+
+    res.json({ success: true, webhooks, supportedEvents: WEBHOOK_EVENTS });
+  } catch (error) {
+    console.error('List webhooks error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Retry pending deliveries that are due - call from a scheduler, like /api/reminders/send
+app.post('/api/webhooks/deliveries/retry', verifyCronSecret, async (req, res) => {
+  try {
+    const snapshot = await db.collection(WEBHOOK_DELIVERIES_COLLECTION)
+      .where('status', '==', 'pending')
+      .get();
+
+    const now = new Date();
+    const due = [];
+    snapshot.forEach(doc => {
+      const delivery = doc.data();
+      if (delivery.nextAttemptAt && new Date(delivery.nextAttemptAt) <= now) {
+        due.push(delivery);
+      }
+    });
+
+    let delivered = 0;
+    let failed = 0;
+    for (const delivery of due) {
+      const result = await attemptWebhookDelivery(delivery);
+      if (result.status === 'delivered') delivered++;
+      if (result.status === 'failed') failed++;
+    }
+
+    res.json({ success: true, attempted: due.length, delivered, failed });
+  } catch (error) {
+    console.error('Retry webhook deliveries error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/webhooks/:webhookId', authenticateToken, verifyWebhookOwnership, async (req, res) => {
+  res.json({ success: true, webhook: toWebhookResponse(req.webhook) });
+});
+
+// Update url, events, description or the active flag
+app.put('/api/webhooks/:webhookId', authenticateToken, verifyWebhookOwnership, async (req, res) => {
+  try {
+    const { description, active } = req.body;
+
+    const { settings, error } = await parseWebhookSettings(req.body);
+    if (error) {
+      return res.status(400).json({ error, supportedEvents: WEBHOOK_EVENTS });
+    }
+    if (active !== undefined && typeof active !== 'boolean') {
+      return res.status(400).json({ error: 'active must be true or false' });
+    }
+
+    const updateData = {
+      ...settings,
+      updatedAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp()
+    };
+    if (description !== undefined) updateData.description = description;
+    if (active !== undefined) updateData.active = active;
+
+    await db.collection(WEBHOOKS_COLLECTION).doc(req.params.webhookId).update(updateData);
+
+    res.json({ success: true, webhook: toWebhookResponse({ ...req.webhook, ...updateData }) });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace the signing secret; deliveries from now on are signed with the new one
+app.post('/api/webhooks/:webhookId/rotate-secret', authenticateToken, verifyWebhookOwnership, async (req, res) => {
+  try {
+    const secret = generateWebhookSecret();
+    await db.collection(WEBHOOKS_COLLECTION).doc(req.params.webhookId).update({
+      secret,
+      updatedAt: isLocalMode ? new Date().toISOString() : FieldValue.serverTimestamp()
+    });
+    res.json({ success: true, secret });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/webhooks/:webhookId', authenticateToken, verifyWebhookOwnership, async (req, res) => {
+  try {
+    await db.collection(WEBHOOKS_COLLECTION).doc(req.params.webhookId).delete();
+    res.json({ success: true, message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delivery log, newest first. Query: status (pending | delivered | failed), event, limit (max 200)
+app.get('/api/webhooks/:webhookId/deliveries', authenticateToken, verifyWebhookOwnership, async (req, res) => {
+  try {
+    const { status, event } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const snapshot = await db.collection(WEBHOOK_DELIVERIES_COLLECTION)
+      .where('webhookId', '==', req.params.webhookId)
+      .get();
+
+    let deliveries = [];
+    snapshot.forEach(doc => {
+      deliveries.push(doc.data());
+    });
+    if (status) deliveries = deliveries.filter(delivery => delivery.status === status);
+    if (event) deliveries = deliveries.filter(delivery => delivery.event === event);
+    deliveries.sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+
+    res.json({ success: true, total: deliveries.length, deliveries: deliveries.slice(0, limit) });
+  } catch (error) {
+    console.error('List webhook deliveries error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send a delivery again now, whatever its status
+app.post('/api/webhooks/:webhookId/deliveries/:deliveryId/redeliver', authenticateToken, verifyWebhookOwnership, async (req, res) => {
+  try {
+    const deliveryDoc = await db.collection(WEBHOOK_DELIVERIES_COLLECTION).doc(req.params.deliveryId).get();
+    if (!deliveryDoc.exists || deliveryDoc.data().webhookId !== req.params.webhookId) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const delivery = await attemptWebhookDelivery(deliveryDoc.data());
+    res.json({ success: delivery.status === 'delivered', delivery });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+// --- END Webhooks ---
+
+// --- API Key Management ---
+// Managed with a user access token only - an API key cannot create or revoke keys
+
+function toApiKeyResponse(apiKey) {
+  const { keyHash, ...rest } = apiKey;
+  return rest;
+}
+
+// Create an API key. Body: { name, scopes, expiresInDays? }
+app.post('/api/api-keys', authenticateToken, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: 'scopes must be a non-empty array', availableScopes: API_KEY_SCOPES });
+    }
+    const unknownScopes = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+    if (unknownScopes.length > 0) {
+      return res.status(400).json({ error: `Unknown scopes: ${unknownScopes.join(', ')}`, availableScopes: API_KEY_SCOPES });
+    }
+    if (expiresInDays !== undefined && expiresInDays !== null &&
+        !(Number.isInteger(Number(expiresInDays)) && Number(expiresInDays) > 0)) {
+      return res.status(400).json({ error: 'expiresInDays must be a positive integer' });
+    }
+
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+    const apiKeyId = crypto.randomUUID();
+    const apiKey = {
+      id: apiKeyId,
+      userId: req.user.userId,
+      name: name.trim(),
+      keyHash: hashApiKey(key),
+      keyPrefix: key.slice(0, API_KEY_PREFIX.length + 8),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays ? new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000).toISOString() : null,
+      lastUsedAt: null,
+      revokedAt: null,
+      createdAt: new Date().toISOString()
+    };
+    await db.collection(API_KEYS_COLLECTION).doc(apiKeyId).set(apiKey);
+
+    res.status(201).json({
+      success: true,
+      apiKey: { ...toApiKeyResponse(apiKey), key },
+      message: 'Store the key now - it is not shown again'
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/api-keys', authenticateToken, async (req, res) => {
+  try {
+    const snapshot = await db.collection(API_KEYS_COLLECTION)
+      .where('userId', '==', req.user.userId)
+      .get();
+
+    const apiKeys = [];
+    snapshot.forEach(doc => {
+      apiKeys.push(toApiKeyResponse(doc.data()));
+    });
+    apiKeys.sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+
+    res.json({ success: true, apiKeys, availableScopes: API_KEY_SCOPES });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke an API key. The record is kept so the key still shows up (as revoked) in the list
+app.delete('/api/api-keys/:apiKeyId', authenticateToken, async (req, res) => {
+  try {
+    const apiKeyRef = db.collection(API_KEYS_COLLECTION).doc(req.params.apiKeyId);
+    const apiKeyDoc = await apiKeyRef.get();
+    if (!apiKeyDoc.exists || apiKeyDoc.data().userId !== req.user.userId) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    if (apiKeyDoc.data().revokedAt) {
+      return res.status(409).json({ error: 'API key is already revoked' });
+    }
+
+    const revokedAt = new Date().toISOString();
+    await apiKeyRef.update({ revokedAt });
+
+    res.json({ success: true, message: 'API key revoked', apiKey: toApiKeyResponse({ ...apiKeyDoc.data(), revokedAt }) });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+// --- END API Key Management ---
+
+// --- REMINDER BATCH ENDPOINT ---
+app.post('/api/reminders/send', async (req, res) => {
+  try {
+    const now = new Date();
+    // Support forceAll param (from query string)
+    const forceAll = req.query.forceAll === 'true' || req.body.forceAll === true;
+    const docsSnapshot = await db.collection('documents').where('status', '==', 'sent').get();
+    let remindersSent = 0;
+    for (const doc of docsSnapshot.docs) {
+      const documentData = doc.data();
+      const documentId = doc.id;
+      const { expired } = getExpirationInfo(documentData);
+      if (expired) {
+        await markDocumentExpired(documentId, documentData, req);
+        continue;
+      }
+      if (['declined', 'cancelled', 'voided'].includes(documentData.status)) continue;
+      const { sendReminders, reminderFrequency } = getReminderInfo(documentData);
+      if (!sendReminders) continue;
+      // Documents sent before signing tokens existed get a signingTokenId on their first reminder
+      const signers = assignSigningTokenIds(documentData.signers);
+      const activeEmails = getActiveSigners(documentData, signers).map(s => s.email);
+      for (const signer of signers) {
+        if (signer.signed || signer.declined) continue;
+        if (!activeEmails.includes(signer.email)) continue;
+        let shouldSend = false;
+        if (forceAll) {
+          shouldSend = true;
+        } else {
+          // Check lastReminderSent (store per signer, fallback to sentAt)
+          let lastReminder = signer.lastReminderSent ? new Date(signer.lastReminderSent) : (documentData.sentAt ? new Date(documentData.sentAt) : null);
+          if (!lastReminder) lastReminder = now;
+          const daysSince = Math.floor((now - lastReminder) / (1000 * 60 * 60 * 24));
+          if (daysSince >= reminderFrequency) {
+            shouldSend = true;
+          }
+        }
+        if (shouldSend) {
+          // Send reminder email
+          const signingUrl = buildSigningUrl(documentId, signer);
+          const emailData = {
+            signerEmail: signer.email,
+            signerName: signer.name || signer.email.split('@')[0],
+            documentTitle: documentData.title || documentData.originalName || 'Document',
+            senderName: documentData.createdBy?.name || 'Document Sender',
+            senderEmail: documentData.createdBy?.email || 'info@eSignTap.com',
+            message: documentData.message || '',
+            signingUrl: signingUrl,
+            isReminder: true // Ensure this is set for reminders
+          };
+          try {
+            await emailService.sendDocumentShareEmail(emailData);
+            remindersSent++;
+            await recordDocumentEvent(documentId, 'reminder_sent', req, {
+              details: { signerEmail: signer.email }
+            });
             // Update lastReminderSent for this signer
             const updatedSigners = signers.map(s => s.email === signer.email ? { ...s, lastReminderSent: now.toISOString() } : s);
             await db.collection('documents').doc(documentId).update({ signers: updatedSigners });
@@ -3675,7 +7706,7 @@ const checkRateLimit = async (ip) => {
 app.post('/api/feedback/rating', async (req, res) => {
   try {
     const { sessionId, rating } = req.body;
-    const ip = req.headers['x-forwarded-for'] || req.ip;
+    const ip = getClientIp(req);
     
     // Check rate limit
     const isAllowed = await checkRateLimit(ip);
@@ -3719,7 +7750,7 @@ app.post('/api/feedback/rating', async (req, res) => {
 app.post('/api/feedback/pricing', async (req, res) => {
   try {
     const { sessionId, pricingFeedback } = req.body;
-    const ip = req.headers['x-forwarded-for'] || req.ip;
+    const ip = getClientIp(req);
     
     // Check rate limit
     const isAllowed = await checkRateLimit(ip);
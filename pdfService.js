@@ -1,6 +1,34 @@
 const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
 const sharp = require('sharp');
 const mammoth = require('mammoth');
+const crypto = require('crypto');
+const pdfSigner = require('./pdfSigner');
+const fieldService = require('./fieldService');
+
+// Labels used for the event timeline on the certificate of completion
+const EVENT_LABELS = {
+  uploaded: 'Document uploaded',
+  created_from_template: 'Created from template',
+  created_from_document: 'Created from document (bulk send)',
+  sent: 'Sent for signature',
+  viewed: 'Opened by signer',
+  file_viewed: 'File viewed by signer',
+  signed: 'Signed',
+  completed: 'All signers completed',
+  reminder_sent: 'Reminder sent',
+  declined: 'Declined by signer',
+  attachment_uploaded: 'Attachment uploaded',
+  cancelled: 'Cancelled',
+  voided: 'Voided by sender',
+  corrected: 'Corrected by sender',
+  expired: 'Expired',
+  downloaded: 'Downloaded'
+};
+
+const AUTH_METHOD_LABELS = {
+  email_link: 'Email link',
+  'email_link+access_code': 'Email link + access code'
+};
 
 class PDFService {
   constructor() {
@@ -537,6 +565,10 @@ class PDFService {
       }
 
       console.log(`📋 Processing ${allFields.length} fields for PDF embedding`);
+      const fieldValues = fieldService.withPrefilledValues(documentData, signerData.fieldValues || {});
+      const calculatedValues = fieldService.computeCalculatedValues(documentData, fieldValues);
+      const conditionValues = { ...fieldValues, ...calculatedValues };
+      const fieldsById = fieldService.getFieldsById(documentData);
 
       // Group fields by file/page index
       const fieldsByPage = {};
@@ -564,11 +596,17 @@ class PDFService {
         console.log(`📄 Processing page ${pageIndex}: ${pageFields.length} fields, page size: ${pageWidth}x${pageHeight}`);
         
         for (const field of pageFields) {
-          const signerFieldData = signerData.fieldValues?.[field.id];
+          if (!fieldService.isFieldVisible(field, conditionValues, fieldsById)) {
+            console.log(`⏭️ Skipping hidden field: ${field.id}`);
+            continue;
+          }
+          const signerFieldData = field.type === 'calculated'
+            ? calculatedValues[field.id]
+            : fieldService.getFieldValue(field, fieldValues);
           
-          if (!signerFieldData || signerFieldData === '') {
-            console.log(`⏭️ Skipping empty field: ${field.id}`);
-            continue; // Skip empty fields
+          if (!fieldService.isRenderable(field, signerFieldData)) {
+            console.log(`⏭️ Skipping empty or invalid field: ${field.id}`);
+            continue; // Never render empty or invalid data
           }
 
           console.log(`🔧 Processing field: ${field.id} (${field.type}) = ${signerFieldData}`);
@@ -644,105 +682,9 @@ class PDFService {
 
           console.log(`📍 Final field coordinates: x=${x.toFixed(2)}, y=${y.toFixed(2)}, w=${width.toFixed(2)}, h=${height.toFixed(2)}`);
 
-          // Render field based on type
-          switch (field.type) {
-            case 'text':
-            case 'name':
-            case 'email':
-            case 'phone':
-            case 'date':
-              // Add text field
-              const fontSize = Math.max(8, Math.min(height * 0.6, 14)); // Scale font size appropriately
-              const textValue = signerFieldData.toString();
-              
-              console.log(`✏️ Adding text: "${textValue}" (font size: ${fontSize})`);
-              
-              page.drawText(textValue, {
-                x: x + 2,
-                y: y + (height / 2) - (fontSize / 2),
-                size: fontSize,
-                font: font,
-                color: rgb(0, 0, 0),
-                maxWidth: width - 4,
-              });
-              break;
-
-            case 'checkbox':
-              // Draw checkbox
-              if (signerFieldData === true || signerFieldData === 'true') {
-                const checkSize = Math.min(width, height) * 0.8;
-                const checkX = x + (width - checkSize) / 2;
-                const checkY = y + (height - checkSize) / 2;
-                
-                console.log(`☑️ Adding checkbox (checked)`);
-                
-                // Draw check mark (use 'X' instead of '✓' for WinAnsi compatibility)
-                page.drawText('X', {
-                  x: checkX,
-                  y: checkY,
-                  size: checkSize,
-                  font: font,
-                  color: rgb(0, 0, 0),
-                });
-              } else {
-                console.log(`☐ Skipping unchecked checkbox`);
-              }
-              break;
-
-            case 'signature':
-            case 'initial':
-              // Handle signature/initial image or text
-              if (signerFieldData && signerFieldData.startsWith('data:image/')) {
-                try {
-                  console.log(`🖋️ Adding signature/initial image`);
-                  // Extract base64 data
-                  const base64Data = signerFieldData.split(',')[1];
-                  const imageBuffer = Buffer.from(base64Data, 'base64');
-                  // Embed image
-                  let signatureImage;
-                  if (signerFieldData.includes('data:image/png')) {
-                    signatureImage = await pdfDoc.embedPng(imageBuffer);
-                  } else {
-                    signatureImage = await pdfDoc.embedJpg(imageBuffer);
-                  }
-                  // Draw signature
-                  page.drawImage(signatureImage, {
-                    x: x,
-                    y: y,
-                    width: width,
-                    height: height,
-                  });
-                } catch (sigError) {
-                  console.error('❌ Signature embedding error:', sigError);
-                  // Fallback to text
-                  const fallbackText = field.type === 'initial' ? 'Initialed' : 'Signed';
-                  page.drawText(fallbackText, {
-                    x: x + 2,
-                    y: y + (height / 2),
-                    size: Math.min(height * 0.6, 12),
-                    font: font,
-                    color: rgb(0, 0, 0),
-                  });
-                }
-              } else if (signerFieldData) {
-                // Text-based signature/initial
-                console.log(`✍️ Adding text signature/initial: "${signerFieldData}"`);
-                const fontSize = Math.max(8, Math.min(height * 0.6, 14));
-                page.drawText(signerFieldData.toString(), {
-                  x: x + 2,
-                  y: y + (height / 2) - (fontSize / 2),
-                  size: fontSize,
-                  font: font,
-                  color: rgb(0, 0, 0),
-                  maxWidth: width - 4,
-                });
-              }
-              break;
-
-            default:
-              console.warn(`⚠️ Unknown field type: ${field.type}`);
-              break;
-          }
+          await this.drawFieldValue(pdfDoc, page, font, field, signerFieldData, { x, y, width, height }, {
+            attachments: documentData.attachments
+          });
         }
       }
 
@@ -754,6 +696,112 @@ class PDFService {
     }
   }
 
+  /**
+   * Draw one field value inside its rectangle on a page (used by addFieldsToPDF and mergeDocumentsWithFields)
+   */
+  async drawFieldValue(pdfDoc, page, font, field, value, { x, y, width, height }, { attachments = [] } = {}) {
+    const drawTextValue = (text) => {
+      const fontSize = Math.max(8, Math.min(height * 0.6, 14)); // Scale font size appropriately
+      page.drawText(this.toPdfText(text), {
+        x: x + 2,
+        y: y + (height / 2) - (fontSize / 2),
+        size: fontSize,
+        font: font,
+        color: rgb(0, 0, 0),
+        maxWidth: width - 4,
+      });
+    };
+
+    // Checked boxes are marked with 'X' ('✓' is not WinAnsi encodable)
+    const drawMark = () => {
+      const checkSize = Math.min(width, height) * 0.8;
+      page.drawText('X', {
+        x: x + (width - checkSize) / 2,
+        y: y + (height - checkSize) / 2,
+        size: checkSize,
+        font: font,
+        color: rgb(0, 0, 0),
+      });
+    };
+
+    switch (field.type) {
+      case 'text':
+      case 'name':
+      case 'email':
+      case 'phone':
+      case 'date':
+        console.log(`✏️ Adding text: "${value}"`);
+        drawTextValue(value.toString());
+        break;
+
+      case 'dropdown':
+        drawTextValue(fieldService.getOptionLabel(field, value));
+        break;
+
+      case 'number':
+        drawTextValue(fieldService.formatNumber(field, value));
+        break;
+
+      case 'calculated':
+        drawTextValue(fieldService.formatCalculatedValue(field, value));
+        break;
+
+      case 'attachment': {
+        // The file itself is listed on the certificate; the field shows which one was attached
+        const attachment = attachments.find(a => a.attachmentId === value);
+        drawTextValue(`Attached: ${attachment ? attachment.originalName : value}`);
+        break;
+      }
+
+      case 'checkbox':
+        if (value === true || value === 'true') {
+          console.log(`☑️ Adding checkbox (checked)`);
+          drawMark();
+        }
+        break;
+
+      case 'radio':
+        // Only the box whose option was chosen is marked
+        if (String(value) === String(field.option)) {
+          drawMark();
+        }
+        break;
+
+      case 'signature':
+      case 'initial':
+        // Handle signature/initial image or text
+        if (value.startsWith('data:image/')) {
+          try {
+            console.log(`🖋️ Adding signature/initial image`);
+            const imageBuffer = Buffer.from(value.split(',')[1], 'base64');
+            const signatureImage = value.includes('data:image/png')
+              ? await pdfDoc.embedPng(imageBuffer)
+              : await pdfDoc.embedJpg(imageBuffer);
+            page.drawImage(signatureImage, { x, y, width, height });
+          } catch (sigError) {
+            console.error('❌ Signature embedding error:', sigError);
+            // Fallback to text
+            page.drawText(field.type === 'initial' ? 'Initialed' : 'Signed', {
+              x: x + 2,
+              y: y + (height / 2),
+              size: Math.min(height * 0.6, 12),
+              font: font,
+              color: rgb(0, 0, 0),
+            });
+          }
+        } else {
+          // Text-based signature/initial
+          console.log(`✍️ Adding text signature/initial: "${value}"`);
+          drawTextValue(value);
+        }
+        break;
+
+      default:
+        console.warn(`⚠️ Unknown field type: ${field.type}`);
+        break;
+    }
+  }
+
   /**
    * Merge multiple documents and fill form fields
    * Supports ANY combination of file types:
@@ -889,8 +937,21 @@ class PDFService {
         }
       }
 
-      // 4. Add fields from all signers to the correct global page
-      for (const signerData of signersData) {
+      // 4. Add fields from all signers to the correct global page. The sender's pre-filled values
+      // and calculated fields are drawn once each, after the signers' own fields.
+      const mergedValues = fieldService.getMergedValues(signersData);
+      const prefilledValues = fieldService.getPrefilledValues(documentData, mergedValues);
+      const documentValues = { ...mergedValues, ...prefilledValues };
+      const calculatedValues = fieldService.computeCalculatedValues(documentData, documentValues);
+      // Fields hidden by their showWhen conditions are not drawn
+      const conditionValues = { ...documentValues, ...calculatedValues };
+      const fieldsById = fieldService.getFieldsById(documentData);
+      const valueSets = [
+        ...signersData,
+        { email: 'pre-filled values', signed: true, fieldValues: prefilledValues, prefilled: true },
+        { email: 'calculated fields', signed: true, fieldValues: calculatedValues, calculated: true }
+      ];
+      for (const signerData of valueSets) {
         if (signerData.signed && signerData.fieldValues) {
           console.log(`📝 Adding fields for signer: ${signerData.email}`);
           // Get all fields from all files
@@ -908,8 +969,12 @@ class PDFService {
           }
 
           for (const field of allFields) {
-            const signerFieldData = signerData.fieldValues?.[field.id];
-            if (!signerFieldData || signerFieldData === '') continue;
+            if ((field.type === 'calculated') !== !!signerData.calculated) continue;
+            // A pre-filled value that applies replaces anything a signer stored for the field
+            if (!signerData.prefilled && fieldService.getValueKey(field) in prefilledValues) continue;
+            if (!fieldService.isFieldVisible(field, conditionValues, fieldsById)) continue;
+            const signerFieldData = fieldService.getFieldValue(field, signerData.fieldValues);
+            if (!fieldService.isRenderable(field, signerFieldData)) continue;
             // Determine correct global page index
             const pageNum = field.pageNumber || 1;
             const fileIdx = field.fileIndex || field.documentIndex || 0;
@@ -987,85 +1052,11 @@ class PDFService {
             }
             
             console.log(`📍 Merge: Final field coordinates: x=${x.toFixed(2)}, y=${y.toFixed(2)}, w=${width.toFixed(2)}, h=${height.toFixed(2)}`);
-            // Render field based on type (reuse logic from addFieldsToPDF)
+            // Render field based on type (shared with addFieldsToPDF)
             const font = await mergedPDF.embedFont(StandardFonts.Helvetica);
-            switch (field.type) {
-              case 'text':
-              case 'name':
-              case 'email':
-              case 'phone':
-              case 'date': {
-                const fontSize = Math.max(8, Math.min(height * 0.6, 14));
-                const textValue = signerFieldData.toString();
-                page.drawText(textValue, {
-                  x: x + 2,
-                  y: y + (height / 2) - (fontSize / 2),
-                  size: fontSize,
-                  font: font,
-                  color: rgb(0, 0, 0),
-                  maxWidth: width - 4,
-                });
-                break;
-              }
-              case 'checkbox': {
-                if (signerFieldData === true || signerFieldData === 'true') {
-                  const checkSize = Math.min(width, height) * 0.8;
-                  const checkX = x + (width - checkSize) / 2;
-                  const checkY = y + (height - checkSize) / 2;
-                  page.drawText('X', {
-                    x: checkX,
-                    y: checkY,
-                    size: checkSize,
-                    font: font,
-                    color: rgb(0, 0, 0),
-                  });
-                }
-                break;
-              }
-              case 'signature':
-              case 'initial': {
-                if (signerFieldData && signerFieldData.startsWith('data:image/')) {
-                  try {
-                    const base64Data = signerFieldData.split(',')[1];
-                    const imageBuffer = Buffer.from(base64Data, 'base64');
-                    let signatureImage;
-                    if (signerFieldData.includes('data:image/png')) {
-                      signatureImage = await mergedPDF.embedPng(imageBuffer);
-                    } else {
-                      signatureImage = await mergedPDF.embedJpg(imageBuffer);
-                    }
-                    page.drawImage(signatureImage, {
-                      x: x,
-                      y: y,
-                      width: width,
-                      height: height,
-                    });
-                  } catch (sigError) {
-                    const fallbackText = field.type === 'initial' ? 'Initialed' : 'Signed';
-                    page.drawText(fallbackText, {
-                      x: x + 2,
-                      y: y + (height / 2),
-                      size: Math.min(height * 0.6, 12),
-                      font: font,
-                      color: rgb(0, 0, 0),
-                    });
-                  }
-                } else if (signerFieldData) {
-                  const fontSize = Math.max(8, Math.min(height * 0.6, 14));
-                  page.drawText(signerFieldData.toString(), {
-                    x: x + 2,
-                    y: y + (height / 2) - (fontSize / 2),
-                    size: fontSize,
-                    font: font,
-                    color: rgb(0, 0, 0),
-                    maxWidth: width - 4,
-                  });
-                }
-                break;
-              }
-              default:
-                break;
-            }
+            await this.drawFieldValue(mergedPDF, page, font, field, signerFieldData, { x, y, width, height }, {
+              attachments: documentData.attachments
+            });
           }
         }
       }
@@ -1088,12 +1079,155 @@ class PDFService {
   }
 
   /**
-   * Generate completed document PDF with all signatures
+   * SHA-256 of each original file. Uses the hash recorded at upload time when
+   * available, otherwise hashes the file as currently stored.
+   */
+  async computeFileHashes(documentData, bucket) {
+    const files = documentData.files || [documentData];
+    const hashes = [];
+    for (const file of files) {
+      let sha256 = file.sha256 || null;
+      if (!sha256 && file.fileName) {
+        try {
+          const [fileBuffer] = await bucket.file(file.fileName).download();
+          sha256 = crypto.createHash('sha256').update(fileBuffer).digest('hex');
+        } catch (error) {
+          console.error(`❌ Could not hash ${file.fileName}:`, error.message);
+        }
+      }
+      hashes.push({ name: file.originalName || file.title || file.fileName, sha256 });
+    }
+    return hashes;
+  }
+
+  /**
+   * Replace characters the standard (WinAnsi) PDF fonts cannot encode
+   */
+  toPdfText(value) {
+    return String(value ?? '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+  }
+
+  /**
+   * Format ISO strings, Dates and Firestore Timestamps as UTC for the certificate
+   */
+  formatTimestamp(value) {
+    if (!value) return '-';
+    const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+    if (isNaN(date.getTime())) return String(value);
+    return date.toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+  }
+
+  /**
+   * Append a certificate of completion after the signed pages: document ID,
+   * SHA-256 of the original files, signer details and the event timeline
+   */
+  async appendCompletionCertificate(pdfDoc, documentData, signersData, { fileHashes = [], events = [] } = {}) {
+    console.log('📜 Appending certificate of completion...');
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    const monoFont = await pdfDoc.embedFont(StandardFonts.Courier);
+
+    const pageSize = [612, 792]; // US Letter
+    const margin = 50;
+    const contentWidth = pageSize[0] - margin * 2;
+    let page = pdfDoc.addPage(pageSize);
+    let y = pageSize[1] - margin;
+
+    const writeLine = (text, { size = 10, lineFont = font, indent = 0, color = rgb(0, 0, 0) } = {}) => {
+      // Wrap on measured width so long values (user agents, hashes) stay on the page
+      const maxWidth = contentWidth - indent;
+      const lines = [];
+      let current = '';
+      for (const word of this.toPdfText(text).split(' ')) {
+        const candidate = current ? `${current} ${word}` : word;
+        if (current && lineFont.widthOfTextAtSize(candidate, size) > maxWidth) {
+          lines.push(current);
+          current = word;
+        } else {
+          current = candidate;
+        }
+      }
+      lines.push(current);
+
+      for (const line of lines) {
+        if (y - size < margin) {
+          page = pdfDoc.addPage(pageSize);
+          y = pageSize[1] - margin;
+        }
+        page.drawText(line, { x: margin + indent, y: y - size, size, font: lineFont, color });
+        y -= size + 4;
+      }
+    };
+
+    const writeHeading = (text) => {
+      y -= 10;
+      writeLine(text, { size: 13, lineFont: boldFont, color: rgb(0.31, 0.27, 0.9) });
+      y -= 2;
+    };
+
+    const completedAt = documentData.completedAt ||
+      signersData.map(s => s.signedAt).filter(Boolean).sort().pop();
+
+    writeLine('Certificate of Completion', { size: 20, lineFont: boldFont });
+    y -= 6;
+    writeLine(`Document: ${documentData.title || documentData.originalName || 'Untitled document'}`);
+    writeLine(`Document ID: ${documentData.id || '-'}`);
+    writeLine(`Completed: ${this.formatTimestamp(completedAt)}`);
+    writeLine(`Sender: ${documentData.createdBy?.name || '-'} (${documentData.createdBy?.email || '-'})`);
+
+    writeHeading('Original Files (SHA-256)');
+    for (const file of fileHashes) {
+      writeLine(file.name || 'Unnamed file', { lineFont: boldFont });
+      writeLine(file.sha256 || 'Unavailable', { size: 8, lineFont: monoFont, indent: 12 });
+    }
+
+    writeHeading('Signers');
+    for (const signer of signersData) {
+      writeLine(`${signer.name || signer.email.split('@')[0]} <${signer.email}>`, { lineFont: boldFont });
+      writeLine(`Signed: ${this.formatTimestamp(signer.signedAt)}`, { indent: 12 });
+      writeLine(`IP address: ${signer.signedIp || '-'}`, { indent: 12 });
+      writeLine(`Authentication: ${AUTH_METHOD_LABELS[signer.authMethod] || signer.authMethod || 'Email link'}`, { indent: 12 });
+      if (signer.signedUserAgent) {
+        writeLine(`User agent: ${signer.signedUserAgent}`, { size: 8, indent: 12, color: rgb(0.3, 0.3, 0.3) });
+      }
+      y -= 4;
+    }
+
+    // Only attachments a signer actually submitted (re-uploads replace earlier files)
+    const submittedIds = new Set(signersData.flatMap(signer => Object.values(signer.fieldValues || {})));
+    const attachments = (documentData.attachments || []).filter(a => submittedIds.has(a.attachmentId));
+    if (attachments.length > 0) {
+      writeHeading('Signer Attachments (SHA-256)');
+      for (const attachment of attachments) {
+        writeLine(`${attachment.originalName} - ${attachment.signerEmail} (${Math.ceil((attachment.size || 0) / 1024)} KB)`, { lineFont: boldFont });
+        writeLine(attachment.sha256 || 'Unavailable', { size: 8, lineFont: monoFont, indent: 12 });
+      }
+    }
+
+    writeHeading('Event Timeline');
+    if (events.length === 0) {
+      writeLine('No events recorded');
+    }
+    for (const event of events) {
+      const label = EVENT_LABELS[event.type] || event.type.replace(/_/g, ' ');
+      const actor = event.actor?.email || event.actor?.name || event.actor?.type || 'system';
+      const ip = event.ipAddress ? ` - IP ${event.ipAddress}` : '';
+      writeLine(`${this.formatTimestamp(event.timestamp)}  ${label} (${actor})${ip}`, { size: 9 });
+    }
+
+    console.log('✅ Certificate of completion appended');
+    return pdfDoc;
+  }
+
+  /**
+   * Generate completed document PDF with all signatures and a certificate of completion
    * @param {object} documentData
    * @param {Array} signersData
    * @param {object} bucket - GCS bucket instance
+   * @param {object} [options]
+   * @param {Array} [options.events] - audit trail events for the certificate timeline
    */
-  async generateCompletedDocument(documentData, signersData, bucket) {
+  async generateCompletedDocument(documentData, signersData, bucket, options = {}) {
     try {
       console.log('🎯 Generating completed document PDF...');
       const signedSigners = signersData.filter(signer => signer.signed);
@@ -1101,11 +1235,33 @@ class PDFService {
         throw new Error('No signed data available for PDF generation');
       }
       console.log(`📝 Processing ${signedSigners.length} signed signer(s) out of ${signersData.length} total`);
-      const completedPDFBuffer = await this.mergeDocumentsWithFields(documentData, signedSigners, bucket);
+      const mergedPDFBuffer = await this.mergeDocumentsWithFields(documentData, signedSigners, bucket);
+
+      const pdfDoc = await PDFDocument.load(mergedPDFBuffer);
+      const fileHashes = await this.computeFileHashes(documentData, bucket);
+      await this.appendCompletionCertificate(pdfDoc, documentData, signedSigners, {
+        fileHashes,
+        events: options.events || []
+      });
+
+      // Digitally sign the final PDF so any later modification is detectable in PDF readers
+      let completedPDFBuffer;
+      let digitallySigned = false;
+      if (pdfSigner.isConfigured()) {
+        completedPDFBuffer = await pdfSigner.signPdfDocument(pdfDoc, {
+          reason: this.toPdfText(`Signed by ${signedSigners.map(signer => signer.name || signer.email).join(', ')}`)
+        });
+        digitallySigned = true;
+      } else {
+        completedPDFBuffer = Buffer.from(await pdfDoc.save());
+      }
+
       const documentTitle = documentData.title || documentData.originalName || 'completed-document';
       return {
         buffer: completedPDFBuffer,
-        filename: `${documentTitle}-signed.pdf`
+        filename: `${documentTitle}-signed.pdf`,
+        digitallySigned,
+        sha256: crypto.createHash('sha256').update(completedPDFBuffer).digest('hex')
       };
     } catch (error) {
       console.error('❌ Generate completed document error:', error);
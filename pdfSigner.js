@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { SignPdf } = require('@signpdf/signpdf');
+const { P12Signer } = require('@signpdf/signer-p12');
+const { pdflibAddPlaceholder } = require('@signpdf/placeholder-pdf-lib');
+
+// Room reserved in the PDF for the PKCS#7 blob (bytes). Large enough for a cert chain.
+const SIGNATURE_LENGTH = 16384;
+
+/**
+ * Applies and verifies PKCS#7/CMS detached digital signatures on completed PDFs.
+ *
+ * The signing certificate is a PKCS#12 keystore configured with either
+ *   PDF_SIGNING_P12_BASE64 - base64 encoded .p12 (e.g. for Vercel), or
+ *   PDF_SIGNING_P12_PATH   - path to a local .p12 keystore file
+ * plus PDF_SIGNING_P12_PASSWORD when the keystore is password protected.
+ * Without a keystore, completed PDFs are produced unsigned.
+ */
+class PDFSigner {
+  constructor() {
+    this.keystore = undefined; // undefined = not loaded yet, null = not configured
+  }
+
+  /**
+   * Load the keystore from the environment (once)
+   */
+  loadKeystore() {
+    if (this.keystore !== undefined) {
+      return this.keystore;
+    }
+
+    const passphrase = process.env.PDF_SIGNING_P12_PASSWORD || '';
+    try {
+      if (process.env.PDF_SIGNING_P12_BASE64) {
+        this.keystore = { p12Buffer: Buffer.from(process.env.PDF_SIGNING_P12_BASE64, 'base64'), passphrase };
+      } else if (process.env.PDF_SIGNING_P12_PATH) {
+        const keystorePath = path.resolve(process.env.PDF_SIGNING_P12_PATH);
+        this.keystore = { p12Buffer: fs.readFileSync(keystorePath), passphrase };
+      } else {
+        console.log('⚠️  PDF signing certificate not configured - completed PDFs will not be digitally signed');
+        this.keystore = null;
+      }
+    } catch (error) {
+      console.error('❌ Failed to load PDF signing keystore:', error.message);
+      this.keystore = null;
+    }
+    return this.keystore;
+  }
+
+  /**
+   * Use an explicit keystore instead of the environment (e.g. a self-signed test certificate)
+   */
+  useKeystore(p12Buffer, passphrase = '') {
+    this.keystore = p12Buffer ? { p12Buffer, passphrase } : null;
+  }
+
+  isConfigured() {
+    return !!this.loadKeystore();
+  }
+
+  /**
+   * The signing certificate from the keystore
+   */
+  getCertificate() {
+    const keystore = this.loadKeystore();
+    if (!keystore) return null;
+
+    const p12Asn1 = forge.asn1.fromDer(forge.util.createBuffer(keystore.p12Buffer.toString('binary')));
+    const p12 = forge.pkcs12.pkcs12FromAsn1(p12Asn1, false, keystore.passphrase);
+    const certBags = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [];
+    return certBags.length > 0 ? certBags[0].cert : null;
+  }
+
+  /**
+   * SHA-256 fingerprint (hex) of a forge certificate
+   */
+  getFingerprint(certificate) {
+    const der = forge.asn1.toDer(forge.pki.certificateToAsn1(certificate)).getBytes();
+    return crypto.createHash('sha256').update(Buffer.from(der, 'binary')).digest('hex');
+  }
+
+  /**
+   * Add a signature placeholder to a pdf-lib document, serialize it and sign it
+   * @param {PDFDocument} pdfDoc - pdf-lib document, must not have been saved with object streams
+   * @param {object} [details] - reason, location, contactInfo shown in PDF readers
+   * @returns {Promise<Buffer>} signed PDF
+   */
+  async signPdfDocument(pdfDoc, details = {}) {
+    const keystore = this.loadKeystore();
+    if (!keystore) {
+      throw new Error('PDF signing certificate is not configured');
+    }
+
+    console.log('🔏 Applying digital signature to PDF...');
+    const pages = pdfDoc.getPages();
+    pdflibAddPlaceholder({
+      pdfDoc,
+      pdfPage: pages[pages.length - 1],
+      reason: details.reason || 'Document signed and completed via eSignTap',
+      contactInfo: details.contactInfo || process.env.PDF_SIGNING_CONTACT || 'info@eSignTap.com',
+      name: details.name || 'eSignTap',
+      location: details.location || process.env.PDF_SIGNING_LOCATION || 'eSignTap',
+      signatureLength: SIGNATURE_LENGTH,
+      appName: 'eSignTap'
+    });
+
+    // The placeholder must stay in a plain (non object-stream) xref for byte-range signing
+    const unsignedBuffer = Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+    const signer = new P12Signer(keystore.p12Buffer, { passphrase: keystore.passphrase });
+    const signedBuffer = await new SignPdf().sign(unsignedBuffer, signer);
+    console.log('✅ PDF digitally signed');
+    return signedBuffer;
+  }
+
+  /**
+   * Verify the last digital signature in a PDF: the CMS signature over the signed
+   * attributes, the message digest over the ByteRange, and whether the ByteRange
+   * covers the whole file (i.e. nothing was appended after signing).
+   */
+  verify(pdfBuffer) {
+    const pdfText = pdfBuffer.toString('latin1');
+    const byteRangeMatches = [...pdfText.matchAll(/\/ByteRange\s*\[\s*(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s*\]/g)];
+    if (byteRangeMatches.length === 0) {
+      return { signed: false, valid: false, error: 'No digital signature found' };
+    }
+
+    try {
+      const [, start1, length1, start2, length2] = byteRangeMatches[byteRangeMatches.length - 1].map(Number);
+      const signedContent = Buffer.concat([
+        pdfBuffer.subarray(start1, start1 + length1),
+        pdfBuffer.subarray(start2, start2 + length2)
+      ]);
+
+      // The Contents hex string sits in the gap between the two byte ranges
+      const contentsHex = pdfText.substring(start1 + length1 + 1, start2 - 1).replace(/0+$/, '');
+      const paddedHex = contentsHex.length % 2 === 0 ? contentsHex : `${contentsHex}0`;
+      const p7Asn1 = forge.asn1.fromDer(forge.util.hexToBytes(paddedHex), { parseAllBytes: false });
+      const message = forge.pkcs7.messageFromAsn1(p7Asn1);
+      const signerCertificate = message.certificates[0];
+      const { rawCapture } = message;
+
+      // 1. messageDigest attribute must match the digest of the signed byte ranges
+      const attributes = rawCapture.authenticatedAttributes || [];
+      let messageDigest = null;
+      let signingTime = null;
+      for (const attribute of attributes) {
+        const oid = forge.asn1.derToOid(attribute.value[0].value);
+        const value = attribute.value[1].value[0];
+        if (oid === forge.pki.oids.messageDigest) {
+          messageDigest = Buffer.from(value.value, 'binary').toString('hex');
+        } else if (oid === forge.pki.oids.signingTime) {
+          signingTime = value.type === forge.asn1.Type.UTCTIME
+            ? forge.asn1.utcTimeToDate(value.value)
+            : forge.asn1.generalizedTimeToDate(value.value);
+        }
+      }
+      const contentDigest = crypto.createHash('sha256').update(signedContent).digest('hex');
+      const integrity = messageDigest === contentDigest;
+
+      // 2. The signature must be valid over the DER-encoded signed attributes (as a SET)
+      const attributesSet = forge.asn1.create(forge.asn1.Class.UNIVERSAL, forge.asn1.Type.SET, true, attributes);
+      const attributesDigest = forge.md.sha256.create();
+      attributesDigest.update(forge.asn1.toDer(attributesSet).getBytes());
+      const signatureValid = signerCertificate.publicKey.verify(attributesDigest.digest().bytes(), rawCapture.signature);
+
+      const coversWholeDocument = start1 === 0 && start2 + length2 === pdfBuffer.length;
+      const ownCertificate = this.isConfigured() ? this.getCertificate() : null;
+      const fingerprint = this.getFingerprint(signerCertificate);
+
+      return {
+        signed: true,
+        valid: integrity && signatureValid && coversWholeDocument,
+        integrity,
+        signatureValid,
+        coversWholeDocument,
+        signingTime: signingTime ? signingTime.toISOString() : null,
+        signer: {
+          commonName: signerCertificate.subject.getField('CN')?.value || null,
+          organization: signerCertificate.subject.getField('O')?.value || null,
+          issuer: signerCertificate.issuer.getField('CN')?.value || null,
+          fingerprint
+        },
+        issuedByUs: !!ownCertificate && this.getFingerprint(ownCertificate) === fingerprint
+      };
+    } catch (error) {
+      console.error('❌ PDF signature verification error:', error.message);
+      return { signed: true, valid: false, error: `Could not verify signature: ${error.message}` };
+    }
+  }
+}
+
+module.exports = new PDFSigner();
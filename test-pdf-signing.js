@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const forge = require('node-forge');
+const pdfService = require('./pdfService');
+const pdfSigner = require('./pdfSigner');
+
+// Build a throwaway self-signed PKCS#12 keystore so the test runs offline without a real certificate
+function createSelfSignedKeystore(passphrase) {
+  const keys = forge.pki.rsa.generateKeyPair(2048);
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = keys.publicKey;
+  cert.serialNumber = '01';
+  cert.validity.notBefore = new Date();
+  cert.validity.notAfter = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+  const attrs = [
+    { name: 'commonName', value: 'eSignTap Test Signing' },
+    { name: 'organizationName', value: 'eSignTap' }
+  ];
+  cert.setSubject(attrs);
+  cert.setIssuer(attrs);
+  cert.sign(keys.privateKey, forge.md.sha256.create());
+
+  const p12Asn1 = forge.pkcs12.toPkcs12Asn1(keys.privateKey, [cert], passphrase, { algorithm: '3des' });
+  return Buffer.from(forge.asn1.toDer(p12Asn1).getBytes(), 'binary');
+}
+
+// Test digital signing of a completed document end to end, without Firebase or a real certificate
+async function testPDFSigning() {
+  console.log('🧪 Testing PDF Digital Signature');
+  console.log('================================');
+
+  try {
+    console.log('🔑 Generating self-signed test certificate...');
+    pdfSigner.useKeystore(createSelfSignedKeystore('test-password'), 'test-password');
+
+    // Serve test.pdf from an in-memory bucket
+    const samplePDF = fs.readFileSync(path.join(__dirname, 'test.pdf'));
+    const mockBucket = {
+      file: () => ({ download: async () => [samplePDF] })
+    };
+
+    const mockDocumentData = {
+      id: 'test-doc-1',
+      title: 'Signing Test',
+      createdBy: 'owner@example.com',
+      files: [
+        {
+          fileId: 'test-file-1',
+          fileName: 'documents/test-doc-1/test.pdf',
+          originalName: 'test.pdf',
+          fields: [
+            { id: 'name', type: 'text', leftPercent: 10, topPercent: 20, widthPercent: 30, heightPercent: 5, pageNumber: 1 }
+          ]
+        }
+      ]
+    };
+    const mockSigners = [
+      {
+        email: 'test@example.com',
+        name: 'Test Signer',
+        signed: true,
+        signedAt: new Date().toISOString(),
+        fieldValues: { name: 'Test Signer' }
+      }
+    ];
+
+    const completed = await pdfService.generateCompletedDocument(mockDocumentData, mockSigners, mockBucket);
+    console.log(`✅ Generated ${completed.filename} (${completed.buffer.length} bytes, digitallySigned=${completed.digitallySigned})`);
+
+    const result = pdfSigner.verify(completed.buffer);
+    console.log('🔍 Verification of untouched PDF:', result);
+    if (!result.valid) {
+      throw new Error('Signature on the generated PDF did not verify');
+    }
+
+    // Flip one byte inside the signed range - verification must now fail
+    const tampered = Buffer.from(completed.buffer);
+    tampered[200] = tampered[200] ^ 0xff;
+    const tamperedResult = pdfSigner.verify(tampered);
+    console.log('🔍 Verification of tampered PDF:', { valid: tamperedResult.valid, integrity: tamperedResult.integrity });
+    if (tamperedResult.valid) {
+      throw new Error('Tampered PDF was reported as valid');
+    }
+
+    console.log('\n✅ PDF signing test completed successfully!');
+  } catch (error) {
+    console.error('❌ PDF signing test failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+// Run the test
+testPDFSigning().then(() => {
+  console.log('\n🎯 Test completed');
+}).catch(error => {
+  console.error('❌ Test runner error:', error);
+});